@@ -5,32 +5,394 @@
 	 *
 	 * The component accepts the following attributes:
 	 *
-	 *  list-item-X: a list item, where X can be anything
+	 *  list-item-X: a list item, where X can be anything; list-item-X
+	 *               attributes added, changed or removed later add, change
+	 *               or remove the matching item
+	 *  items: a JSON array of items, used instead of the list-item-X
+	 *         attributes; setting it later replaces all the items
+	 *  reflect: mirror the current item values to the items attribute
 	 *  add-item-text: the text that prompts to add new items
 	 *  allow-duplicates: allow duplicates, it can be true or false
 	 *  duplicate-prompt: prompt message shown when a duplicate value is added
+	 *  name: the name under which the items are submitted with a form
+	 *  form-encoding: how the items are submitted with a form, it can be
+	 *                 multiple (default, one entry per item), json or csv
+	 *  required: the list must contain at least one item
+	 *  min-items: the minimum number of items
+	 *  max-items: the maximum number of items
+	 *  min-length: the minimum length of an item value
+	 *  max-length: the maximum length of an item value
+	 *  pattern: a regular expression that every item value must match
+	 *  group: lists with the same group exchange items by drag and drop
+	 *  pull: what happens when an item is dragged to another list of the
+	 *        group, it can be move (default), copy or reject
+	 *  accept: accept items dragged from other lists of the group, it can be
+	 *          true (default) or false
+	 *  history-limit: the maximum number of changes that can be undone,
+	 *                 100 by default
+	 *  selection-mode: how items can be selected, it can be none, single
+	 *                  (default) or multiple
+	 *  persist-key: the key under which the items are saved and restored
+	 *  persist-storage: where the items are saved, it can be local
+	 *                   (localStorage, default) or indexeddb
+	 *  restrict-to-suggestions: only accept typed values that are among
+	 *                           the suggestions
+	 *  split-on: the delimiters that split a text pasted in the add input
+	 *            into several items, a list of newline (default), tab,
+	 *            comma and semicolon
+	 *  theme: the color preset, it can be light (default), dark or auto,
+	 *         which follows the color scheme of the system
+	 *  density: the spacing of the rows, it can be compact or comfortable
+	 *  filterable: show a filter input above the items
+	 *  virtual: only render the rows in view, for long lists; the value is
+	 *           the row height in pixels, measured on the first row if
+	 *           missing
+	 *  sortable: show buttons that sort the items from A to Z or Z to A
+	 *  sorted: keep the items sorted, in ascending order, or descending if
+	 *          the value is desc; new and edited items are put in place
+	 *          and items cannot be moved
+	 *  disabled: disable the list; it takes neither clicks nor the focus
+	 *  readonly: the items cannot be added, edited, removed or reordered
+	 *  no-add, no-edit, no-remove, no-reorder: the items cannot be added,
+	 *            edited, removed or reordered, respectively
+	 *
+	 * The items can be navigated, edited, removed and reordered with the
+	 * keyboard: arrow keys, Home and End move the selection, F2 or Enter
+	 * edits the selected item, Escape cancels editing, Delete removes the
+	 * item and Alt+arrow (or Ctrl+Shift+arrow) moves it up or down. The
+	 * right arrow moves the focus to the buttons of the item and the left
+	 * arrow back, the other way around in a right-to-left layout.
+	 *
+	 * In multiple selection mode, Shift+click and Shift+arrow select a range
+	 * of items, Ctrl+click (or Cmd+click) and Space toggle an item and Ctrl+A
+	 * selects all items; the selected items can then be removed or moved up
+	 * and down as a block, from the selection toolbar or with the keyboard.
+	 *
+	 * The filter hides the items whose value does not contain the typed
+	 * text, ignoring case and diacritics, and highlights the matches. Methods
+	 * keep using the indices of all the items, shown or not; while filtering,
+	 * items cannot be dragged, or moved past a hidden item.
+	 *
+	 * In a virtual list, the list scrolls within the --editable-list-max-height
+	 * custom property (400px by default) and only the rows in view are
+	 * rendered, as rows of the same height; items cannot be dragged, but
+	 * selection, editing and keyboard navigation work across the whole list.
+	 *
+	 * Items are sorted by value in the natural order of the language, so
+	 * that "item 2" comes before "item 10", ignoring case and accents.
+	 *
+	 * The add and edit inputs can suggest values from the suggestions list
+	 * or the suggest function; arrow keys move through the suggestions and
+	 * Enter picks one. Values already in the list are not suggested when
+	 * duplicates are not allowed.
+	 *
+	 * Ctrl+C (or Cmd+C) copies the selected items as lines of text, and
+	 * Ctrl+V (or Cmd+V) adds the lines of the pasted text as items.
+	 *
+	 * The items can also be reordered by dragging their drag handle, with a
+	 * mouse, a pen or a finger. Lists sharing the same group attribute accept
+	 * items dragged from each other.
+	 *
+	 * Every label, announcement and validation message can be translated
+	 * with the strings property; the list is mirrored in a right-to-left
+	 * layout, set with the dir attribute on the element or an ancestor.
+	 *
+	 * The look of the list can be changed from outside the shadow root with
+	 * the --editable-list-* CSS custom properties (colors, spacing, radius,
+	 * row height and font) and with ::part() selectors on the container,
+	 * the items, the inputs and the buttons.
+	 *
+	 * The items are exposed to assistive technologies as a listbox, and
+	 * additions, removals, moves and rejected values are announced through a
+	 * polite live region.
+	 *
+	 * With a persist-key attribute, the items are saved after every change
+	 * and restored when the element is attached again, e.g. after a page
+	 * reload; saved items are versioned, so that older saves can be read.
+	 *
+	 * With a data source, the items are loaded from it when the element is
+	 * attached and every change is sent to it; changes are shown at once,
+	 * marked as pending until the source confirms them, and rolled back if
+	 * the source rejects them.
+	 *
+	 * The element can be created with document.createElement() and set up
+	 * with its attributes, properties and methods before it is inserted;
+	 * moving it in the page keeps its items and history, and properties
+	 * set before the element was upgraded are applied once it is defined.
+	 *
+	 * The component is form-associated: it submits its items with its parent
+	 * form, restores its initial items on form reset and can be disabled
+	 * through the disabled attribute or a disabled fieldset.
+	 *
+	 * Every item has a stable id, a value and optional data. Methods accept
+	 * items either as plain string values or as {id, value, data} objects;
+	 * ids are generated for items added without one. Items with a true
+	 * locked flag cannot be edited, removed or moved.
+	 *
+	 * The readonly, no-* attributes and locked flags are enforced both in
+	 * the interface and in the methods; setting value or the items
+	 * attribute still replaces all the items, without before-* events.
+	 *
+	 * Item values are rendered as text. A custom rendering can be provided
+	 * with a <template slot="item"> child, whose elements with a data-field
+	 * attribute receive the text of that item field (e.g. value, id or
+	 * data.note), or with the itemRenderer property.
+	 *
+	 * The header, empty, footer and add-button slots add a title, a message
+	 * shown when the list is empty, a footer and a replacement add button.
+	 * Extra actions are added to the toolbar of every item with the
+	 * itemActions property or a <template slot="item-actions"> child whose
+	 * elements have a data-action attribute.
 	 *
 	 * The component exposes the following methods:
 	 *
-	 *  items(): returns the list of items
+	 *  items(options): returns the list of item values, or of item objects
+	 *                  if options.objects is true
 	 *  addItems(listItems): adds a list of new items
 	 *  changeItem(index, newValue): change an item value by index
+	 *  getItemById(id): returns the item object with the given id
+	 *  indexOf(id): returns the index of the item with the given id
+	 *  updateItem(id, patch): change the value, data and/or locked flag of
+	 *                         an item by id
 	 *  removeItem(index): remove an item by index
 	 *  moveItemUp(index): move an item up by index
 	 *  moveItemDown(index): move an item down by index
 	 *  removeAllItems(): remove all items
 	 *  unselectAllItems(): unselect all items in the list
+	 *  select(indices): select the items at an index or an array of indices
+	 *  selectAll(): select all shown items, in multiple selection mode
+	 *  removeSelectedItems(): remove the selected items
+	 *  moveSelectedItemsUp(): move the selected items up as a block
+	 *  moveSelectedItemsDown(): move the selected items down as a block
+	 *  sort(compareFn): sort the items by value, or with a function
+	 *                   comparing two item values
+	 *  reverse(): reverse the order of the items
+	 *  importText(text, options): split a text into items and add them,
+	 *                             returns how many were added, skipped as
+	 *                             duplicates or rejected
+	 *  toJSON(): returns the list of item values, used by JSON.stringify()
+	 *  exportAs(format): returns the item values as a json, csv or text string
+	 *  importFrom(data, format, options): adds the items of a json, csv or
+	 *                                     text string, or replaces the items
+	 *                                     with them if options.mode is replace
+	 *  copyToClipboard(format): copies the item values to the clipboard
+	 *  checkValidity(): returns true if the list satisfies its validation rules
+	 *  reportValidity(): like checkValidity(), but also reports the problem
+	 *  undo(): undo the last change, also bound to Ctrl+Z
+	 *  redo(): redo the last undone change, also bound to Ctrl+Shift+Z
+	 *
+	 * The component exposes the following properties:
+	 *
+	 *  value: the array of item values; setting it replaces all the items
+	 *  disabled, readOnly: reflect the disabled and readonly attributes
+	 *  validator: a function(value, items) that validates an item value; it
+	 *             returns an error message or false to reject the value
+	 *  validity, validationMessage, willValidate: the constraint validation
+	 *             state of the list
+	 *  canUndo, canRedo: true if there is a change to undo or redo that
+	 *             the permissions allow
+	 *  selectedIndices: the indices of the selected items
+	 *  itemRenderer: a function(item, index) that returns the node, or the
+	 *                text, to render for an item
+	 *  storageAdapter: an object with load(key) and save(key, snapshot)
+	 *                  methods returning promises, which replaces the
+	 *                  storage of the persist-storage attribute
+	 *  filter: the text that filters the items
+	 *  suggestions: an array of values suggested while typing
+	 *  suggest: an async function(query) returning the values to suggest,
+	 *           used instead of the suggestions list
+	 *  locale: the locale of the strings, the plural rules and the sort
+	 *          order, by default the lang attribute of the element or of
+	 *          its closest ancestor
+	 *  strings: the user-facing strings replacing the default ones, by
+	 *           key; plural strings are objects keyed by plural category
+	 *  icons: the icons replacing the default ones, by name (up, down,
+	 *         remove, add and drag), as SVG strings or nodes
+	 *  itemActions: the custom actions of the items, as {action, label,
+	 *               icon} objects
+	 *  source: a data source, an object with load(), add(item, index),
+	 *          update(item, previous), remove(item, index),
+	 *          move(item, fromIndex, toIndex) and reorder(items) methods
+	 *          returning promises
 	 *
 	 * The component exposes the following events:
 	 *
 	 *  change(e): fires when a change in an item occurs, or a new item is
 	 *             added, or an item is deleted or the order of items changes;
-	 *             the property e.details provides details about the change
+	 *             the property e.details provides details about the change:
+	 *             the action, the index (and fromIndex and toIndex of moves,
+	 *             or the fromIndices of all the items after a sort),
+	 *             the id and value (item) of the item, the source of the
+	 *             change (user or api) and the resulting item values (items)
+	 *  before-add(e), before-edit(e), before-remove(e), before-move(e):
+	 *             fire before an item is added, edited, removed or moved;
+	 *             calling e.preventDefault() cancels the change and setting
+	 *             e.detail.value rewrites the value of an added or edited item
+	 *  selectionchange(e): fires when the selected items change; the
+	 *             properties e.detail.indices and e.detail.ids provide the
+	 *             indices and ids of the selected items
+	 *  item-action(e): fires when a custom action of an item is clicked;
+	 *             e.detail provides the action and the index, id and value
+	 *             (item) of the item
+	 *  restore(e): fires after the saved items have been restored
+	 *  persist-error(e): fires when the items could not be restored or
+	 *             saved; e.detail.error provides the error
+	 *  sync-error(e): fires when the data source rejected a change, after it
+	 *             has been rolled back, or failed to load the items
 	 */
 	class EditableList extends HTMLElement {
 		
-		static observedAttributes = ["add-item-text"];
-		static #_duplicatePromptDefault = 'This value already exists!';
+		static observedAttributes = [
+			"add-item-text", "name", "form-encoding",
+			"required", "min-items", "max-items", "min-length", "max-length", "pattern",
+			"items", "reflect", "selection-mode", "filterable", "sortable", "sorted", "virtual", "lang",
+			"disabled", "readonly", "no-add", "no-edit", "no-remove", "no-reorder"
+		];
+		static formAssociated = true;
+		static #_upgradedProperties = [
+			"value", "validator", "itemRenderer", "storageAdapter", "source", "icons", "itemActions",
+			"locale", "strings", "suggestions", "suggest", "filter", "disabled", "readOnly", "selectedIndices"
+		];
+		static #_instances = new Set();
+		static #_lastId = 0;
+		static #_historyLimitDefault = 100;
+		static #_persistVersion = 1;
+		static #_persistDelay = 300;
+		static #_storageAdapters = {
+			local: {
+				load: async key => {
+					const json = localStorage.getItem(key);
+					return json === null ? null : JSON.parse(json);
+				},
+				save: async (key, snapshot) => localStorage.setItem(key, JSON.stringify(snapshot))
+			},
+			indexeddb: {
+				load: key => EditableList.#_indexedDBRequest('readonly', store => store.get(key)).then(snapshot => snapshot ?? null),
+				save: (key, snapshot) => EditableList.#_indexedDBRequest('readwrite', store => store.put(snapshot, key))
+			}
+		};
+		static #_defaultIcons = {
+			up: '<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="m5 9 1.41 1.41L11 5.83V22h2V5.83l4.59 4.59L19 9l-7-7-7 7z"></path></svg>',
+			down: '<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="m19 15-1.41-1.41L13 18.17V2h-2v16.17l-4.59-4.59L5 15l7 7 7-7z"></path></svg>',
+			remove: '<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"></path></svg>',
+			add: '<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"></path></svg>',
+			drag: '<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="M11 18c0 1.1-.9 2-2 2s-2-.9-2-2 .9-2 2-2 2 .9 2 2zm-2-8c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0-6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm6 4c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"></path></svg>'
+		};
+		static #_darkTheme = `
+			--_background: var(--editable-list-background, #1e1e1e);
+			--_color: var(--editable-list-color, #e8e8e8);
+			--_border-color: var(--editable-list-border-color, #bbb);
+			--_border-color-inactive: var(--editable-list-border-color-inactive, #555);
+			--_input-background: var(--editable-list-input-background, #2a2a2a);
+			--_input-border-color: var(--editable-list-input-border-color, #666);
+			--_muted-color: var(--editable-list-muted-color, #aaa);
+			--_icon-color: var(--editable-list-icon-color, #ddd);
+			--_handle-color: var(--editable-list-handle-color, #888);
+			--_hover-background: var(--editable-list-hover-background, #333);
+			--_selected-background: var(--editable-list-selected-background, #2a2a2a);
+			--_highlight-background: var(--editable-list-highlight-background, #6b5d00);
+			--_error-color: var(--editable-list-error-color, #ff6b81);
+			--_button-hover-background: rgba(255,255,255,0.15);
+			color-scheme: dark;
+		`;
+		static #_defaultStrings = {
+			items: 'Items',
+			addItemText: '',
+			add: 'Add',
+			addLabel: 'Add new item',
+			moveUp: 'Move up',
+			moveDown: 'Move down',
+			remove: 'Remove',
+			moveItemUp: "Move '{value}' up",
+			moveItemDown: "Move '{value}' down",
+			removeItem: "Remove '{value}'",
+			itemAction: "{label} '{value}'",
+			moveSelectedUp: 'Move selected up',
+			moveSelectedUpLabel: 'Move selected items up',
+			moveSelectedDown: 'Move selected down',
+			moveSelectedDownLabel: 'Move selected items down',
+			removeSelected: 'Remove selected',
+			removeSelectedLabel: 'Remove selected items',
+			selectedCount: '{count} selected',
+			filter: 'Filter items',
+			noMatches: 'No matching items',
+			filterResults: {one: '{shown} of {count} item shown', other: '{shown} of {count} items shown'},
+			sortAscending: 'A→Z',
+			sortAscendingLabel: 'Sort A to Z',
+			sortDescending: 'Z→A',
+			sortDescendingLabel: 'Sort Z to A',
+			sortedAscending: 'Sorted from A to Z',
+			sortedDescending: 'Sorted from Z to A',
+			added: "Added '{value}'",
+			changed: "Changed '{previous}' to '{value}'",
+			removed: "Removed '{value}'",
+			moved: "Moved '{value}' to position {position} of {count}",
+			removedCount: {one: 'Removed {count} item', other: 'Removed {count} items'},
+			movedUpCount: {one: 'Moved {count} item up', other: 'Moved {count} items up'},
+			movedDownCount: {one: 'Moved {count} item down', other: 'Moved {count} items down'},
+			copiedCount: {one: 'Copied {count} item', other: 'Copied {count} items'},
+			importAdded: {one: 'Added {count} item', other: 'Added {count} items'},
+			importDuplicates: {one: 'skipped {count} duplicate', other: 'skipped {count} duplicates'},
+			importRejected: {one: 'rejected {count} invalid item', other: 'rejected {count} invalid items'},
+			undone: 'Undone',
+			redone: 'Redone',
+			saveFailed: "Could not save '{value}'",
+			orderSaveFailed: 'Could not save the order of the items',
+			duplicate: 'This value already exists!',
+			valueMissing: 'Please add at least one item.',
+			rangeUnderflow: {one: 'Please add at least {count} item.', other: 'Please add at least {count} items.'},
+			rangeOverflow: {one: 'No more than {count} item is allowed.', other: 'No more than {count} items are allowed.'},
+			tooShort: {one: 'Please use at least {count} character.', other: 'Please use at least {count} characters.'},
+			tooLong: {one: 'Please use no more than {count} character.', other: 'Please use no more than {count} characters.'},
+			patternMismatch: 'Please match the requested format.',
+			suggestionMismatch: 'Please choose one of the suggestions.',
+			customError: 'Please enter a valid value.'
+		};
+		
+		#_internals;
+		#_items = [];
+		#_formDisabled = false;
+		#_validator = null;
+		#_itemRenderer = null;
+		#_drag = null;
+		#_undoStack = [];
+		#_redoStack = [];
+		#_historyGroup = null;
+		#_replaying = false;
+		#_pendingValue = null;
+		#_pendingSelection = null;
+		#_defaultItems = [];
+		#_reflecting = false;
+		#_attributeItemIds = new Map();
+		#_attributeObserver = null;
+		#_selection = new Set();
+		#_activeId = null;
+		#_anchorId = null;
+		#_storageAdapter = null;
+		#_persistReady = false;
+		#_persistTimer = null;
+		#_source = null;
+		#_itemStates = new Map();
+		#_suggestions = null;
+		#_suggest = null;
+		#_suggested = new Set();
+		#_suggestRequest = 0;
+		#_suggestActive = -1;
+		#_filterQuery = '';
+		#_filter = '';
+		#_lis = new WeakMap();
+		#_valueCounts = new Map();
+		#_rowSize = 0;
+		#_renderScheduled = false;
+		#_scrollFrame = 0;
+		#_icons = {};
+		#_itemActions = [];
+		#_locale = null;
+		#_resolvedLocale = null;
+		#_pluralRules = null;
+		#_strings = {};
+		#_connection = null;
+		#_loaded = false;
 		
 		/**
 		 * Constructor
@@ -39,14 +401,28 @@
 		 */
 		constructor() {
 			super();
+			this.#_internals = this.attachInternals();
+			
+			// properties set before the element was upgraded hide the accessors
+			// of the class, they are set again through the accessors
+			EditableList.#_upgradedProperties.forEach(name => {
+				if (!Object.prototype.hasOwnProperty.call(this, name)) return;
+				const value = this[name];
+				delete this[name];
+				this[name] = value;
+			});
 		}
 		
 		/**
-		 * Init function that renders the component
+		 * Init function that renders the component, from the attributes and
+		 * properties set so far; it runs when the element is first connected,
+		 * or before if a method needs the items, and only once
 		 *
 		 * @returns {void}
 		 */
 		#_init() {
+			if (this.shadowRoot) return;
+			
 			// attaches shadow tree and returns shadow root reference
 			const shadow = this.attachShadow({ mode: 'open' });
 
@@ -54,29 +430,87 @@
 			const editableListContainer = document.createElement('div');
 
 			// get attribute values from getters
-			const addItemText = this.getAttribute('add-item-text') || '';
-			const listItems = this.#_initialItems();
+			const listItems = this.#_pendingValue || this.#_parseItemsAttribute() || this.#_initialItems();
+			this.#_pendingValue = null;
+			// kept for form resets, as the reflected items attribute changes with the items
+			this.#_defaultItems = listItems.map(item => (item !== null && typeof item === 'object') ? {...item} : item);
 
 			// adding a class to our container for the sake of clarity
 			editableListContainer.classList.add('editable-list', 'defocused');
+			editableListContainer.setAttribute('part', 'container');
 
 			// creating the inner HTML of the editable list element
 			editableListContainer.innerHTML = `
 				<style>
-					:host(.disabled) {
-						pointer-events: none;
+					/* the public --editable-list-* properties override the presets of the theme and density attributes */
+					:host {
+						--_background: var(--editable-list-background, #fff);
+						--_color: var(--editable-list-color);
+						--_border-color: var(--editable-list-border-color, #444);
+						--_border-color-inactive: var(--editable-list-border-color-inactive, silver);
+						--_input-background: var(--editable-list-input-background, #fff);
+						--_input-border-color: var(--editable-list-input-border-color, #bbb);
+						--_muted-color: var(--editable-list-muted-color, #666);
+						--_icon-color: var(--editable-list-icon-color, #444);
+						--_handle-color: var(--editable-list-handle-color, #999);
+						--_hover-background: var(--editable-list-hover-background, #eee);
+						--_selected-background: var(--editable-list-selected-background, #f8f8f8);
+						--_highlight-background: var(--editable-list-highlight-background, #fff3a0);
+						--_error-color: var(--editable-list-error-color, #b00020);
+						--_button-hover-background: rgba(0,0,0,0.1);
+						--_radius: var(--editable-list-radius, 4px);
+						--_padding: var(--editable-list-padding, 12px);
+						--_row-height: var(--editable-list-row-height, 36px);
+						--_row-padding: var(--editable-list-row-padding, 8px);
+						--_font-size: var(--editable-list-font-size, 14px);
 					}
-				
+					
+					:host([theme="dark"]) {
+						${EditableList.#_darkTheme}
+					}
+					
+					@media (prefers-color-scheme: dark) {
+						:host([theme="auto"]) {
+							${EditableList.#_darkTheme}
+						}
+					}
+					
+					:host([density="compact"]) {
+						--_padding: var(--editable-list-padding, 8px);
+						--_row-height: var(--editable-list-row-height, 28px);
+						--_row-padding: var(--editable-list-row-padding, 6px);
+					}
+					
+					:host([density="comfortable"]) {
+						--_padding: var(--editable-list-padding, 16px);
+						--_row-height: var(--editable-list-row-height, 44px);
+						--_row-padding: var(--editable-list-row-padding, 12px);
+					}
+					
+					/* without --editable-list-color or --editable-list-font-family, the list inherits the color and font of the page */
 					.editable-list {
-						background: #fff;
-						border: 1px solid #444;
-						border-radius: 4px;
-						padding: 12px;
-						min-width: 300px;
+						position: relative;
+						background: var(--_background);
+						color: var(--_color);
+						font-family: var(--editable-list-font-family);
+						border: 1px solid var(--_border-color);
+						border-radius: var(--_radius);
+						padding: var(--_padding);
+						min-width: var(--editable-list-min-width, 300px);
 					}
 					
 					.editable-list.defocused {
-						border: 1px solid silver;
+						border: 1px solid var(--_border-color-inactive);
+					}
+					
+					/* the disabled class of earlier versions only blocks the pointer */
+					:host(.disabled) {
+						pointer-events: none;
+					}
+					
+					.editable-list.disabled {
+						opacity: 0.6;
+						pointer-events: none;
 					}
 					
 					ul {
@@ -84,14 +518,94 @@
 						margin: 0;
 					}
 					
+					.item-list {
+						max-height: var(--editable-list-max-height, none);
+						overflow-y: auto;
+					}
+					
+					.item-list li[hidden] {
+						display: none;
+					}
+					
+					.editable-list.virtual .item-list {
+						position: relative;
+						max-height: var(--editable-list-max-height, 400px);
+					}
+					
+					.editable-list.virtual .item-list > li {
+						position: absolute;
+						left: 0;
+						right: 0;
+					}
+					
+					.list-header {
+						margin-bottom: 8px;
+						padding-block: 0;
+						padding-inline: 2px 8px;
+					}
+					
+					.filter-bar {
+						flex-grow: 1;
+					}
+					
+					.list-header[hidden], .filter-bar[hidden], .sort-toolbar[hidden], .no-matches[hidden], .empty-state[hidden] {
+						display: none;
+					}
+					
+					.sort-toolbar {
+						margin-inline-start: auto;
+					}
+					
+					.sort-toolbar button {
+						margin-inline-start: 4px;
+						padding: 5px 8px;
+						border: 1px solid var(--_input-border-color);
+						border-radius: var(--_radius);
+						background: var(--_input-background);
+						color: inherit;
+						font-size: 13px;
+						font-family: inherit;
+						cursor: pointer;
+					}
+					
+					.editable-list.sorted .editable-list-up-item, .editable-list.sorted .editable-list-down-item,
+					.editable-list.sorted .editable-list-up-selected, .editable-list.sorted .editable-list-down-selected,
+					.editable-list.sorted .drag-handle, .editable-list.virtual .drag-handle {
+						display: none;
+					}
+					
+					.filter-input {
+						flex-grow: 1;
+					}
+					
+					.no-matches, .empty-state {
+						padding: 8px 10px;
+						color: var(--_muted-color);
+						font-size: 13px;
+					}
+					
+					mark {
+						background: var(--_highlight-background);
+						color: inherit;
+					}
+					
 					li {
-						height: 36px;
-						padding: 0 8px;
+						height: var(--_row-height);
+						padding: 0 var(--_row-padding);
 						cursor: default;
 					}
 					
+					li:focus {
+						outline: none;
+					}
+					
+					li:focus-visible {
+						outline: 1px dotted var(--_border-color);
+						outline-offset: -1px;
+					}
+					
 					.editable-list:not(.defocused) li.selected {
-						background: #f8f8f8;
+						background: var(--_selected-background);
 					}
 					
 					li, div > div {
@@ -101,26 +615,92 @@
 					}
 					
 					.editable-list:not(.defocused) li:hover {
-						background: #eee;
+						background: var(--_hover-background);
 					}
 					
 					.item-wrapper {
 						display: flex;
-						padding-right: 8px;
-						padding-left: 2px;
+						flex-grow: 1;
+						padding-inline: 2px 8px;
 						align-items: baseline;
 					}
 					
+					.drag-handle {
+						display: flex;
+						padding-inline-end: 4px;
+						cursor: grab;
+						fill: var(--_handle-color);
+						touch-action: none;
+					}
+					
+					.drag-handle svg {
+						width: 16px;
+						height: 16px;
+					}
+					
+					li.dragging {
+						position: fixed;
+						z-index: 1;
+						box-sizing: border-box;
+						background: var(--_background);
+						box-shadow: 0 2px 8px rgba(0,0,0,0.25);
+					}
+					
+					.editable-list.filtered .drag-handle, .editable-list.no-reorder .drag-handle, li.locked .drag-handle {
+						visibility: hidden;
+					}
+					
+					li.dragging .drag-handle {
+						cursor: grabbing;
+					}
+					
+					li.pending {
+						opacity: 0.6;
+					}
+					
+					li.sync-error .item-wrapper {
+						color: var(--_error-color);
+					}
+					
+					.editable-list.loading .item-list {
+						opacity: 0.6;
+					}
+					
+					li.drop-placeholder {
+						box-sizing: border-box;
+						border: 1px dashed var(--_input-border-color);
+						background: var(--_selected-background);
+					}
+					
 					.toolbar {
 						display: flex;
 						gap: 6px;
 					}
 					
-					li:not(.selected) .toolbar, .editable-list.defocused .toolbar {
+					li:not(.selected) .toolbar, .editable-list.defocused .toolbar,
+					.editable-list.multiple-selected li .toolbar {
 						opacity: 0;
 						pointer-events: none;
 					}
 					
+					.editable-list.selection-none:not(.defocused) li:is(:hover, :focus-within) .toolbar,
+					.editable-list li .toolbar:focus-within {
+						opacity: 1;
+						pointer-events: auto;
+					}
+					
+					.selection-toolbar {
+						margin-top: 8px;
+						padding-block: 0;
+						padding-inline: 2px 8px;
+						color: var(--_muted-color);
+						font-size: 13px;
+					}
+					
+					.selection-toolbar[hidden], .new-list-item[hidden], .toolbar button[hidden] {
+						display: none;
+					}
+					
 					.toolbar button {
 						position: relative;
 					}
@@ -130,8 +710,8 @@
 						position: absolute;
 						width: 24px;
 						height: 24px;
-						background: rgba(0,0,0,0.1);
-						left: -4px;
+						background: var(--_button-hover-background);
+						inset-inline-start: -4px;
 						top: -4px;
 						border-radius: 50%;
 					}
@@ -141,7 +721,7 @@
 						border: none;
 						cursor: pointer;
 						font-size: 0;
-						fill: #444;
+						fill: var(--_icon-color);
 						padding: 0;
 					}
 					
@@ -150,16 +730,40 @@
 						height: 16px;
 					}
 					
+					.item-actions {
+						display: contents;
+					}
+					
+					.editable-list-item-action:not(.icon) {
+						padding: 0 4px;
+						border: none;
+						background: transparent;
+						color: inherit;
+						font-size: 12px;
+						font-family: inherit;
+						cursor: pointer;
+					}
+					
+					.editable-list-item-action:not(.icon):hover:before {
+						width: auto;
+						height: auto;
+						inset: -2px 0;
+						border-radius: var(--_radius);
+					}
+					
 					.new-list-item {
 						margin-top: 16px;
-						padding: 0 8px 0 2px;
+						padding-block: 0;
+						padding-inline: 2px 8px;
 					}
 
-					.add-new-list-item-input, .edit-list-item-input {
+					.add-new-list-item-input, .edit-list-item-input, .filter-input {
 						padding: 6px 8px;
-						border-radius: 4px;
-						border: 1px solid #bbb;
-						font-size: 14px;
+						border-radius: var(--_radius);
+						border: 1px solid var(--_input-border-color);
+						background: var(--_input-background);
+						color: inherit;
+						font-size: var(--_font-size);
 						font-family: inherit;
 					}
 					
@@ -169,26 +773,176 @@
 					}
 					
 					.edit-list-item-input {
-						margin-left: -8px;
+						margin-inline-start: -8px;
+					}
+					
+					.error-message {
+						margin-top: 6px;
+						padding: 0 2px;
+						color: var(--_error-color);
+						font-size: 13px;
+					}
+					
+					.error-message[hidden] {
+						display: none;
+					}
+					
+					.import-summary {
+						margin-top: 6px;
+						padding: 0 2px;
+						color: var(--_muted-color);
+						font-size: 13px;
+					}
+					
+					.import-summary[hidden] {
+						display: none;
+					}
+					
+					.suggestions {
+						position: absolute;
+						z-index: 2;
+						max-height: 200px;
+						overflow-y: auto;
+						margin: 2px 0 0;
+						padding: 4px 0;
+						box-sizing: border-box;
+						background: var(--_background);
+						border: 1px solid var(--_input-border-color);
+						border-radius: var(--_radius);
+						box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+					}
+					
+					.suggestions[hidden] {
+						display: none;
+					}
+					
+					.suggestions li {
+						height: 30px;
+						cursor: pointer;
+					}
+					
+					.suggestions li.active {
+						background: var(--_hover-background);
+					}
+					
+					.live-region {
+						position: absolute;
+						width: 1px;
+						height: 1px;
+						overflow: hidden;
+						clip-path: inset(50%);
+						white-space: nowrap;
 					}
 				</style>
-				<ul class="item-list">
-					${listItems.map(item => `<li>${this.#_itemHTML(item)}</li>`).join('')}
-				</ul>
-				<div class="new-list-item">
-					<input class="add-new-list-item-input" type="text" placeholder="${addItemText}">
+				<slot name="header"></slot>
+				<div class="list-header" hidden>
+					<div class="filter-bar" part="filter-bar" hidden>
+						<input class="filter-input" type="search" part="input filter-input" data-string-placeholder="filter" data-string-label="filter">
+					</div>
+					<div class="sort-toolbar" part="sort-toolbar" hidden>
+						<button class="editable-list-sort-asc" part="button sort-button" data-string="sortAscending" data-string-title="sortAscendingLabel" data-string-label="sortAscendingLabel"></button>
+						<button class="editable-list-sort-desc" part="button sort-button" data-string="sortDescending" data-string-title="sortDescendingLabel" data-string-label="sortDescendingLabel"></button>
+					</div>
+				</div>
+				<ul class="item-list" role="listbox" part="list"></ul>
+				<div class="no-matches" part="no-matches" data-string="noMatches" hidden></div>
+				<div class="empty-state" part="empty-state" hidden><slot name="empty"></slot></div>
+				<div class="selection-toolbar" part="selection-toolbar" hidden>
+					<span class="selection-count"></span>
+					<div class="toolbar">
+						<button class="editable-list-up-selected icon" part="button move-up-button" data-icon="up" data-string-title="moveSelectedUp" data-string-label="moveSelectedUpLabel"></button>
+						<button class="editable-list-down-selected icon" part="button move-down-button" data-icon="down" data-string-title="moveSelectedDown" data-string-label="moveSelectedDownLabel"></button>
+						<button class="editable-list-remove-selected icon" part="button remove-button" data-icon="remove" data-string-title="removeSelected" data-string-label="removeSelectedLabel"></button>
+					</div>
+				</div>
+				<div class="new-list-item" part="new-item">
+					<input class="add-new-list-item-input" type="text" aria-describedby="error-message" part="input add-input">
 					<div class="toolbar">
-						<button class="editable-list-add-item icon" title="Add">
-							<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24">
-								<path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"></path>
-							</svg>
-						</button>
+						<slot name="add-button"><button class="editable-list-add-item icon" part="button add-button" data-icon="add" data-string-title="add" data-string-label="addLabel"></button></slot>
 					</div>
 				</div>
+				<div class="error-message" id="error-message" part="error-message" hidden></div>
+				<div class="import-summary" part="import-summary" hidden></div>
+				<slot name="footer"></slot>
+				<div class="live-region" role="status" aria-live="polite"></div>
+				<ul class="suggestions" id="suggestions" role="listbox" part="suggestions" hidden></ul>
 			`;
 
+			// setting attribute values as text, so that they are never parsed as HTML
+			editableListContainer.querySelector('.item-list').setAttribute('aria-label', this.getAttribute('aria-label') || this.#_string('items'));
+			editableListContainer.querySelector('.add-new-list-item-input').setAttribute('placeholder', this.getAttribute('add-item-text') || this.#_string('addItemText'));
+			editableListContainer.querySelector('.filter-input').value = this.#_filterQuery;
+			editableListContainer.classList.toggle('filtered', this.#_filter !== '');
+
+			this.#_applyIcons(editableListContainer);
+			this.#_applyStrings(editableListContainer);
+
 			// appending the container to the shadow DOM
 			shadow.appendChild(editableListContainer);
+			
+			// rendering the initial items
+			const items = listItems.map(item => this.#_newItem(item));
+			const compare = this.#_sortCompare();
+			if (compare) items.sort(compare);
+			items.forEach(item => this.#_insertLi(item, this.#_items.length));
+			this.#_mapItemAttributes();
+			
+			this.#_updateSelectionMode();
+			this.#_updateDisabled();
+			this.#_updatePermissions();
+			this.#_updateListHeader();
+			this.#_updateToolbars();
+			this.#_itemsChanged();
+			if (this.#_pendingSelection) {
+				this.select(this.#_pendingSelection);
+				this.#_pendingSelection = null;
+			}
+			this.#_attachListeners();
+			
+			// the list-item-X attributes stay in sync even while disconnected
+			this.#_attributeObserver = new MutationObserver(this.#_itemAttributesChanged.bind(this));
+			this.#_attributeObserver.observe(this, {attributes: true});
+		}
+		
+		/**
+		 * Attaches the event handlers of the elements of the shadow root; they
+		 * live as long as the element, so they are attached only once
+		 *
+		 * @returns {void}
+		 */
+		#_attachListeners() {
+			const container = this.shadowRoot.querySelector('.editable-list');
+			const newItemWrapper = this.shadowRoot.querySelector('.new-list-item');
+			const addElementInput = this.shadowRoot.querySelector('.add-new-list-item-input');
+			const addElementSlot = this.shadowRoot.querySelector('slot[name="add-button"]');
+
+			container.addEventListener('click', this.#_setFocus.bind(this), true);
+			container.addEventListener('focusin', this.#_setFocus.bind(this), false);
+			container.addEventListener('keydown', this.#_historyKeydown.bind(this), false);
+			this.#_itemList().addEventListener('keydown', this.#_itemListKeydown.bind(this), false);
+			this.#_itemList().addEventListener('scroll', this.#_scrollEvent.bind(this), false);
+			this.#_itemList().addEventListener('pointerdown', this.#_dragStart.bind(this), false);
+			this.#_itemList().addEventListener('pointermove', this.#_dragMove.bind(this), false);
+			this.#_itemList().addEventListener('pointerup', this.#_dragEnd.bind(this), false);
+			this.#_itemList().addEventListener('pointercancel', this.#_dragEnd.bind(this), false);
+			this.#_itemList().addEventListener('copy', this.#_copyItems.bind(this), false);
+			this.#_itemList().addEventListener('paste', this.#_pasteItems.bind(this), false);
+			newItemWrapper.addEventListener('click', this.#_cleanSelection.bind(this), true);
+			addElementInput.addEventListener('keypress', this.#_addListItem.bind(this), false);
+			addElementInput.addEventListener('input', this.#_showError.bind(this, ''), false);
+			addElementInput.addEventListener('input', this.#_showImportSummary.bind(this, null), false);
+			addElementInput.addEventListener('paste', this.#_pasteItems.bind(this), false);
+			this.shadowRoot.querySelector('.filter-input').addEventListener('input', this.#_filterInputEvent.bind(this), false);
+			this.shadowRoot.querySelector('.filter-input').addEventListener('keydown', this.#_filterKeydown.bind(this), false);
+			this.shadowRoot.querySelector('.editable-list-sort-asc').addEventListener('click', this.#_sortEvent.bind(this, false), false);
+			this.shadowRoot.querySelector('.editable-list-sort-desc').addEventListener('click', this.#_sortEvent.bind(this, true), false);
+			this.#_attachSuggestions(addElementInput, null);
+			// listening on the slot, so that a slotted add button works too
+			addElementSlot.addEventListener('click', this.#_addListItem.bind(this), false);
+			this.shadowRoot.querySelector('slot[name="empty"]').addEventListener('slotchange', this.#_updateEmptyState.bind(this), false);
+			this.shadowRoot.querySelector('.editable-list-up-selected').addEventListener('click', this.#_moveSelectedItemsEvent.bind(this, -1), false);
+			this.shadowRoot.querySelector('.editable-list-down-selected').addEventListener('click', this.#_moveSelectedItemsEvent.bind(this, 1), false);
+			this.shadowRoot.querySelector('.editable-list-remove-selected').addEventListener('click', this.#_removeSelectedItemsEvent.bind(this), false);
 		}
 		
 		/**
@@ -206,6 +960,76 @@
 			});
 		}
 		
+		/**
+		 * Fires a change event for each performed change, along with the
+		 * resulting item values
+		 *
+		 * @param {array} changes the details of the changes
+		 * @returns {void}
+		 */
+		#_dispatchChanges(changes) {
+			if (changes.length === 0) return;
+			const items = this.items();
+			changes.forEach(change => this.dispatchEvent(this.#_changeEvent({...change, items: items})));
+		}
+		
+		/**
+		 * Fires a cancelable before-X event, whose listeners can prevent the
+		 * change or rewrite the value in the event detail
+		 *
+		 * @param {string} action the action about to be performed
+		 * @param {object} detail the details of the change
+		 * @returns {object} the detail, as left by the listeners, or null if
+		 *                   the change was prevented
+		 */
+		#_beforeEvent(action, detail) {
+			const event = new CustomEvent(`before-${action}`, {
+				bubbles: true,
+				cancelable: true,
+				composed: true,
+				detail: detail
+			});
+			return this.dispatchEvent(event) ? event.detail : null;
+		}
+		
+		/**
+		 * Handler that adds a text pasted in the add input as separate items,
+		 * if it contains the delimiters of the split-on attribute, or any
+		 * text pasted in the list
+		 *
+		 * @param {ClipboardEvent} e The event object
+		 * @returns {void}
+		 */
+		#_pasteItems(e) {
+			if (this._editing) return;
+			const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+			const minItems = e.target.tagName === "INPUT" ? 2 : 1;
+			if (this.#_splitText(text).length < minItems) return;
+			
+			e.preventDefault();
+			this.#_showError('');
+			this.#_showImportSummary(this.#_importText(text, {}, "user"));
+		}
+		
+		/**
+		 * Handler that copies the selected items, or the focused one, as
+		 * lines of text
+		 *
+		 * @param {ClipboardEvent} e The event object
+		 * @returns {void}
+		 */
+		#_copyItems(e) {
+			if (this._editing || !e.clipboardData) return;
+			const li = this.#_getLi(e.target);
+			const indices = this.selectedIndices;
+			if (indices.length === 0 && li) indices.push(this.#_liIndex(li));
+			if (indices.length === 0) return;
+			
+			e.preventDefault();
+			e.clipboardData.setData('text/plain', this.#_export(indices.map(index => this.#_items[index].value), 'text'));
+			this.#_announce(this.#_string('copiedCount', {count: indices.length}));
+		}
+		
 		/**
 		 * Handler that checks if the editable list has lost focus
 		 *
@@ -238,21 +1062,16 @@
 			if ((e instanceof KeyboardEvent && e.key === "Enter") || !(e instanceof KeyboardEvent)) {
 				const textInput = this.shadowRoot.querySelector('.add-new-list-item-input');
 				if (textInput.value.trim() !== "") {
-					const allowDuplicates = this.getAttribute('allow-duplicates') !== "false";
-					const duplicatePrompt = this.getAttribute('duplicate-prompt') || EditableList.#_duplicatePromptDefault;
-					if (!allowDuplicates) {
-						if (this.#_valueExists(textInput.value, null)) {
-							if (duplicatePrompt.trim() !== "") alert(duplicatePrompt);
-							textInput.focus();
-							return;
-						}
+					const [result] = this.#_addItems([textInput.value], "user");
+					if (!result.item) {
+						this.#_showError(result.error);
+						textInput.focus();
+						return;
 					}
 					
-					this.addItems([textInput.value]);
-					
-					this.dispatchEvent(this.#_changeEvent({action: "add", previous: null, new: textInput.value}));
+					this.#_announce(this.#_string('added', {value: result.item.value}));
 					
-					this.#_itemList().lastChild.click();
+					this.#_revealItem(result.item).click();
 					textInput.value = '';
 				}
 			}
@@ -266,27 +1085,41 @@
 		 */
 		connectedCallback() {
 			this.#_init();
+			EditableList.#_instances.add(this);
+			// the row height of a virtual list is measured once in the page
+			this.#_updateVirtual();
+			// the locale is resolved again from the lang of the new ancestors
+			const locale = this.#_resolvedLocale;
+			this.#_resolvedLocale = null;
+			if (locale && locale !== this.locale) this.#_updateStrings();
 			
-			const container = this.shadowRoot.querySelector('.editable-list');
-			const lis = [...this.shadowRoot.querySelectorAll('li')];
-			const items = [...this.shadowRoot.querySelectorAll('.item-wrapper')];
-			const buttons = {};
-			buttons.up = [...this.shadowRoot.querySelectorAll('.editable-list-up-item')];
-			buttons.down = [...this.shadowRoot.querySelectorAll('.editable-list-down-item')];
-			buttons.remove = [...this.shadowRoot.querySelectorAll('.editable-list-remove-item')];
-			const newItemWrapper = this.shadowRoot.querySelector('.new-list-item');
-			const addElementInput = this.shadowRoot.querySelector('.add-new-list-item-input');
-			const addElementButton = this.shadowRoot.querySelector('.editable-list-add-item');
-
-			this.#_updateToolbars();
-
-			document.addEventListener('click', this.#_defocusEditableList.bind(this), false);
-			container.addEventListener('click', this.#_setFocus.bind(this), true);
-			this.#_handleLiListeners.bind(this)(lis);
-			this.#_handleItemListeners.bind(this)(items, buttons);
-			newItemWrapper.addEventListener('click', this.#_cleanSelection.bind(this), true);
-			addElementInput.addEventListener('keypress', this.#_addListItem.bind(this), false);
-			addElementButton.addEventListener('click', this.#_addListItem.bind(this), false);
+			// document listeners are removed when the element is disconnected
+			this.#_connection = new AbortController();
+			document.addEventListener('click', this.#_defocusEditableList.bind(this), {signal: this.#_connection.signal});
+			
+			// moving the element in the page does not restore or load the items again
+			if (this.#_loaded) return;
+			this.#_loaded = true;
+			this.#_restore();
+			this.#_loadSource();
+		}
+		
+		/**
+		 * Fires after the element has been removed from the DOM
+		 *
+		 * @returns {void}
+		 */
+		disconnectedCallback() {
+			EditableList.#_instances.delete(this);
+			this.#_connection.abort();
+			cancelAnimationFrame(this.#_scrollFrame);
+			this.#_scrollFrame = 0;
+			// a drag cannot go on outside of the page, it is cancelled
+			if (this.#_drag) this.#_dragEnd({type: 'pointercancel', pointerId: this.#_drag.pointerId});
+			if (this.#_persistTimer !== null) {
+				clearTimeout(this.#_persistTimer);
+				this.#_persist();
+			}
 		}
 		
 		/**
@@ -300,499 +1133,4046 @@
 		attributeChangedCallback(name, oldValue, newValue) {
 			if (!this.shadowRoot) return;
 			if (name === 'add-item-text') {
-				this.shadowRoot.querySelector('.add-new-list-item-input').setAttribute('placeholder', newValue);
+				this.shadowRoot.querySelector('.add-new-list-item-input').setAttribute('placeholder', newValue || this.#_string('addItemText'));
+			}
+			if (name === 'items') {
+				const listItems = this.#_parseItemsAttribute();
+				if (!this.#_reflecting && listItems) this.#_replaceItems(listItems);
+			} else if (name === 'reflect') {
+				this.#_reflectItems();
+			} else if (name === 'selection-mode') {
+				this.#_updateSelectionMode();
+			} else if (name === 'filterable' || name === 'sortable') {
+				this.#_updateListHeader();
+				// removing the filter bar would leave hidden items with no way to show them
+				if (name === 'filterable' && newValue === null && this.#_filterQuery) this.filter = '';
+			} else if (name === 'virtual') {
+				this.#_updateVirtual();
+			} else if (name === 'sorted') {
+				this.#_updateListHeader();
+				if (newValue !== null) this.#_sortItems(this.#_sortCompare(), "api", true);
+			} else if (name === 'lang') {
+				this.#_updateStrings();
+			} else if (name === 'disabled') {
+				this.#_updateDisabled();
+			} else if (name === 'readonly' || name.startsWith('no-')) {
+				this.#_updatePermissions();
+			} else if (name === 'name' || name === 'form-encoding') {
+				this.#_updateFormValue();
+			} else if (name !== 'add-item-text') {
+				this.#_updateValidity();
 			}
 		}
-
+		
 		/**
-		 * Returns the initial element items defined in attributes
+		 * Fires when the parent form is reset; restores the items the list
+		 * was initialized with
 		 *
-		 * @returns {array}
+		 * @returns {void}
 		 */
-		#_initialItems() {
-			const items = [];
-
-			[...this.attributes].forEach(attr => {
-				if (attr.name.includes('list-item')) {
-					items.push(attr.value);
-				}
-			});
-
-			return items;
+		formResetCallback() {
+			if (!this.shadowRoot) return;
+			this.#_replaceItems(this.#_defaultItems);
+			this.#_mapItemAttributes();
 		}
-
+		
 		/**
-		 * Generates the inner HTML of the li of each item
+		 * Fires when the element or its fieldset gets disabled or enabled
 		 *
-		 * @param {string} item the item text
-		 * @returns {string} the item's HTML code
+		 * @param {bool} disabled true if the element is disabled
+		 * @returns {void}
 		 */
-		#_itemHTML(item) {
-			return `
-				<div class="item-wrapper">${item}</div>
-				<div class="toolbar">
-					<button class="editable-list-up-item icon" title="Move up">
-						<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24">
-							<path d="m5 9 1.41 1.41L11 5.83V22h2V5.83l4.59 4.59L19 9l-7-7-7 7z"></path>
-						</svg>
-					</button>
-					<button class="editable-list-down-item icon" title="Move down">
-						<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24">
-							<path d="m19 15-1.41-1.41L13 18.17V2h-2v16.17l-4.59-4.59L5 15l7 7 7-7z"></path>
-						</svg>
-					</button>
-					<button class="editable-list-remove-item icon" title="Remove">
-						<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24">
-							<path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"></path>
-						</svg>
-					</button>
-				</div>
-			`;
+		formDisabledCallback(disabled) {
+			this.#_formDisabled = disabled;
+			this.#_updateDisabled();
 		}
 		
 		/**
-		 * Update the toolbar buttons of all items
+		 * Disables the interaction with the list if the element has the
+		 * disabled attribute or is in a disabled fieldset; inert also keeps
+		 * the keyboard focus out of the list
 		 *
 		 * @returns {void}
 		 */
-		#_updateToolbars() {
-			const ups = this.shadowRoot.querySelectorAll('.editable-list-up-item');
-			const downs = this.shadowRoot.querySelectorAll('.editable-list-down-item');
-			const len = ups.length;
-			for (let i = 0; i < len; i++) {
-				ups[i].style.visibility = (i == 0 ? "hidden" : "visible");
-				downs[i].style.visibility = (i == len - 1 ? "hidden" : "visible");
-			}
+		#_updateDisabled() {
+			if (!this.shadowRoot) return;
+			const disabled = this.#_formDisabled || this.hasAttribute('disabled');
+			const container = this.shadowRoot.querySelector('.editable-list');
+			container.classList.toggle('disabled', disabled);
+			container.inert = disabled;
+			this.#_itemList().setAttribute('aria-disabled', disabled);
 		}
 		
 		/**
-		 * Attaches click handlers to all items
+		 * Checks if an action is allowed by the readonly, no-add, no-edit,
+		 * no-remove and no-reorder attributes and, for an item, by its
+		 * locked flag
 		 *
-		 * @param {array} lis a list of li elements of the items
-		 * @returns {void}
+		 * @param {string} action add, edit, remove or reorder
+		 * @param {object} item the item object, or null
+		 * @returns {bool} true if the action is allowed
 		 */
-		#_handleLiListeners(lis) {
-			lis.forEach(element => {
-				element.addEventListener('click', this.#_liSelected.bind(this), false);
-			});
+		#_allows(action, item) {
+			if (this.hasAttribute('readonly') || this.hasAttribute(`no-${action}`)) return false;
+			return !(item && item.locked && action !== 'add');
 		}
 		
 		/**
-		 * Attaches event handlers to the elements of each item inside the li
+		 * Hides the controls of the actions that the readonly and no-*
+		 * attributes do not allow
 		 *
-		 * @param {array} items a list of elements inside the item li
-		 * @param {array} buttons a list of buttons inside the item li
 		 * @returns {void}
 		 */
-		#_handleItemListeners(items, buttons) {
-			const isTouch = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-			items.forEach(element => {
-				element.addEventListener('dblclick', this.#_itemEdit.bind(this), false);
-				if (isTouch) {
-					element.addEventListener('touchend', this.#_attachDoubleTapHandler());
-				}
-			});
-			buttons.up.forEach(element => {
-				element.addEventListener('click',  this.#_moveUpListItemEvent.bind(this), false);
-			});
-			buttons.down.forEach(element => {
-				element.addEventListener('click', this.#_moveDownListItemEvent.bind(this), false);
-			});
-			buttons.remove.forEach(element => {
-				element.addEventListener('click', this.#_removeListItemHandler.bind(this), false);
-			});
+		#_updatePermissions() {
+			if (!this.shadowRoot) return;
+			const container = this.shadowRoot.querySelector('.editable-list');
+			container.classList.toggle('readonly', this.hasAttribute('readonly'));
+			container.classList.toggle('no-reorder', !this.#_allows('reorder', null));
+			this.shadowRoot.querySelector('.new-list-item').hidden = !this.#_allows('add', null);
+			this.#_itemList().setAttribute('aria-readonly', this.hasAttribute('readonly'));
+			if (!this.#_allows('edit', null)) this.#_cancelEdit();
+			this.#_updateListHeader();
+			this.#_updateToolbars();
 		}
 		
 		/**
-		 * Start editing an item; an input field will appear to edit the item
-		 * title
+		 * Fires when the browser restores the form state, e.g. on navigation
 		 *
-		 * @param {Event} e the caller event object
+		 * @param {string} state the state saved by the form value
 		 * @returns {void}
 		 */
-		#_itemEdit(e) {
-			if (this._editing) return;
-			this._editing = true;
-			const li = this.#_getLi(e.target);
-			const itemWrapper = li.querySelector('.item-wrapper');
-			const inp = document.createElement('INPUT');
-			inp.className = "edit-list-item-input";
-			inp.value = itemWrapper.innerText;
-			inp._value = itemWrapper.innerText;
-			inp.addEventListener('blur', this.#_itemEditFinished.bind(this), false);
-			inp.addEventListener('keypress', this.#_itemEditFinished.bind(this), false);
-			itemWrapper.innerHTML = "";
-			itemWrapper.appendChild(inp);
-			inp.focus();
+		formStateRestoreCallback(state) {
+			if (!this.shadowRoot || typeof state !== 'string') return;
+			this.#_replaceItems(JSON.parse(state));
 		}
 		
 		/**
-		 * Item editing finished
+		 * Called after the items of the list have changed
 		 *
-		 * @param {Event} e the caller event object
 		 * @returns {void}
 		 */
-		#_itemEditFinished(e) {
-			if (!this._editing) return;
-			if ((e instanceof KeyboardEvent && e.key === "Enter") || !(e instanceof KeyboardEvent)) {
-				const enterPressed = e instanceof KeyboardEvent;
-				e.preventDefault();
-				const li = this.#_getLi(e.target);
-				const itemWrapper = li.querySelector('.item-wrapper');
-				const inp = li.querySelector('.item-wrapper input');
-				const previousValue = inp._value;
-				const result = this.#_changeItem(li, inp.value, previousValue);
-				const duplicatePrompt = this.getAttribute('duplicate-prompt') || EditableList.#_duplicatePromptDefault;
-				if (!result.accepted && duplicatePrompt.trim() !== "") alert(duplicatePrompt);
-
-				if (result.differs) this.dispatchEvent(this.#_changeEvent({action: "edit", previous: previousValue, new: result.val}));
-			}
+		#_itemsChanged() {
+			this.#_updateFormValue();
+			this.#_updateValidity();
+			this.#_reflectItems();
+			this.#_schedulePersist();
+			// an edited item may now be hidden by the filter, or shown
+			if (this.#_filter) this.#_updateToolbars();
 		}
 		
 		/**
-		 * Attach double-tap handler on item
+		 * Get the storage adapter that saves and restores the items
 		 *
-		 * @returns {function} A double-tap handler
+		 * @returns {object} the adapter, with load(key) and save(key, snapshot)
 		 */
-		#_attachDoubleTapHandler() {
-			let lastTap = 0;
-			let timeout;
-			const detectDoubleTap = function(e) {
-				const curTime = new Date().getTime();
-				const tapLen = curTime - lastTap;
-				if (tapLen < 500 && tapLen > 0) {
-					e.preventDefault();
-					this.#_itemEdit(e);
-				}
-				else {
-					timeout = setTimeout(() => {
-						clearTimeout(timeout);
-					}, 500);
-				}
-				lastTap = curTime;
-			};
-			return detectDoubleTap.bind(this);
+		#_persistAdapter() {
+			if (this.#_storageAdapter) return this.#_storageAdapter;
+			return EditableList.#_storageAdapters[this.getAttribute('persist-storage') === 'indexeddb' ? 'indexeddb' : 'local'];
 		}
 		
 		/**
-		 * Attempt to change item value
+		 * Restores the items saved under the persist-key attribute, if any;
+		 * the items are not saved after a failed restore, so that they never
+		 * overwrite a save that could not be read
 		 *
-		 * @param {HTMLElement} li the item to change the value
-		 * @param {string} newValue the new value to set
-		 * @param {string} previousValue the previous value of the item
-		 * @returns {object} an object containing the change results
+		 * @returns {Promise} resolves once the items are restored
 		 */
-		#_changeItem(li, newValue, previousValue) {
-			let result = {
-				val: '',
-				accepted: true,
-				differs: false
-			};
-			const itemWrapper = li.querySelector('.item-wrapper');
-			let val = newValue;
-			if (val.trim() === "") val = previousValue;
-			const allowDuplicates = this.getAttribute('allow-duplicates') !== "false";
-			if (!allowDuplicates) {
-				if (this.#_valueExists(val, itemWrapper)) {
-					val = previousValue;
-					result.accepted = false;
+		async #_restore() {
+			const key = this.getAttribute('persist-key');
+			try {
+				const snapshot = key ? await this.#_persistAdapter().load(key) : null;
+				if (snapshot !== null && snapshot !== undefined) {
+					this.#_replaceItems(EditableList.#_migrateSnapshot(snapshot).items);
+					this.#_undoStack = [];
+					this.#_redoStack = [];
+					this.dispatchEvent(new CustomEvent("restore", {
+						bubbles: true,
+						cancelable: false,
+						composed: true,
+						detail: {key: key, items: this.items()}
+					}));
 				}
+				this.#_persistReady = true;
+			} catch (error) {
+				this.#_persistError(error, "load", key);
 			}
-			this._editing = false;
-			itemWrapper.innerHTML = val;
-			result.val = val;
-			result.differs = (val !== previousValue);
-			
-			return result;
 		}
-
+		
 		/**
-		 * Fires when an item is selected
+		 * Saves the items after a short delay, so that a burst of changes is
+		 * saved only once
 		 *
-		 * @param {Event} e the caller event object
 		 * @returns {void}
 		 */
-		#_liSelected(e) {
-			this.#_cleanSelection.bind(this)();
-			const li = this.#_getLi(e.target);
-			li.classList.toggle("selected", true);
+		#_schedulePersist() {
+			if (!this.#_persistReady || !this.getAttribute('persist-key')) return;
+			clearTimeout(this.#_persistTimer);
+			this.#_persistTimer = setTimeout(this.#_persist.bind(this), EditableList.#_persistDelay);
 		}
 		
 		/**
-		 * Fires when an item is removed
+		 * Saves the items under the persist-key attribute
 		 *
-		 * @param {Event} e the caller event object
-		 * @returns {void}
+		 * @returns {Promise} resolves once the items are saved
 		 */
-		#_removeListItemHandler(e) {
-			e.stopPropagation();
-			const li = this.#_getLi(e.target);
-			const val = this.#_decodeHtml(li.querySelector('.item-wrapper').innerHTML);
-			this.#_removeListItem(li);
-			
-			this.dispatchEvent(this.#_changeEvent({action: "remove", previous: val, new: null}));
+		async #_persist() {
+			this.#_persistTimer = null;
+			const key = this.getAttribute('persist-key');
+			if (!key) return;
+			try {
+				await this.#_persistAdapter().save(key, {version: EditableList.#_persistVersion, items: this.items({objects: true})});
+			} catch (error) {
+				this.#_persistError(error, "save", key);
+			}
 		}
 		
 		/**
-		 * Fires when an item is moved up
+		 * Fires the persist-error event
 		 *
-		 * @param {Event} e the caller event object
+		 * @param {Error} error the error thrown by the storage
+		 * @param {string} operation load or save
+		 * @param {string} key the persist key
 		 * @returns {void}
 		 */
-		#_moveUpListItemEvent(e) {
-			e.stopPropagation();
-			const li = this.#_getLi(e.target);
-			if (!this.#_moveUpListItem(li)) return;
-			
-			const val = this.#_decodeHtml(li.querySelector('.item-wrapper').innerHTML);
-			this.dispatchEvent(this.#_changeEvent({action: "move", direction: "up", item: val}));
+		#_persistError(error, operation, key) {
+			this.dispatchEvent(new CustomEvent("persist-error", {
+				bubbles: true,
+				cancelable: false,
+				composed: true,
+				detail: {error: error, operation: operation, key: key}
+			}));
 		}
 		
 		/**
-		 * Fires when an item is moved down
+		 * Upgrades saved items to the current snapshot version
 		 *
-		 * @param {Event} e the caller event object
-		 * @returns {void}
+		 * @param {object} snapshot the saved snapshot
+		 * @returns {object} the snapshot in the current version
 		 */
-		#_moveDownListItemEvent(e) {
-			e.stopPropagation();
-			const li = this.#_getLi(e.target);
-			if (!this.#_moveDownListItem(li)) return;
-			
-			const val = this.#_decodeHtml(li.querySelector('.item-wrapper').innerHTML);
-			this.dispatchEvent(this.#_changeEvent({action: "move", direction: "down", item: val}));
+		static #_migrateSnapshot(snapshot) {
+			// version 0 saved a plain array of item values
+			if (Array.isArray(snapshot)) return {version: 1, items: snapshot.map(value => ({value: value}))};
+			if (snapshot && snapshot.version === EditableList.#_persistVersion && Array.isArray(snapshot.items)) return snapshot;
+			throw new Error(`Unsupported snapshot version: ${snapshot && snapshot.version}`);
 		}
 		
 		/**
-		 * Unselect all items
+		 * Runs a request on the object store of the saved lists
 		 *
-		 * @param {Event} e the caller event object
+		 * @param {string} mode readonly or readwrite
+		 * @param {function} callback a function(store) returning the request
+		 * @returns {Promise} resolves with the result of the request
+		 */
+		static #_indexedDBRequest(mode, callback) {
+			return new Promise((resolve, reject) => {
+				const open = indexedDB.open('editable-list', 1);
+				open.onupgradeneeded = () => open.result.createObjectStore('lists');
+				open.onerror = () => reject(open.error);
+				open.onsuccess = () => {
+					const db = open.result;
+					const transaction = db.transaction('lists', mode);
+					const request = callback(transaction.objectStore('lists'));
+					transaction.oncomplete = () => {
+						db.close();
+						resolve(request.result);
+					};
+					transaction.onerror = () => {
+						db.close();
+						reject(transaction.error);
+					};
+				};
+			});
+		}
+		
+		/**
+		 * Replaces all the items of the list, as a single change in history;
+		 * the readonly, no-* attributes, locked items and before-* listeners
+		 * do not apply, as the list is given a whole new value
+		 *
+		 * @param {array} listItems an array of item values or item objects
 		 * @returns {void}
 		 */
-		#_cleanSelection(e) {
-			[...this.shadowRoot.querySelectorAll('li')].forEach(element => {
-				element.classList.toggle("selected", false);
+		#_replaceItems(listItems) {
+			this.#_recordGroup(() => {
+				this.#_removeAllItems("api", true);
+				this.#_addItems(listItems, "api", true);
 			});
 		}
 		
 		/**
-		 * Move an item up
+		 * Mirrors the item values to the items attribute in reflect mode
 		 *
-		 * @param {HTMLElement} li the item li to move
-		 * @returns {bool} true if succeeded, false otherwise
+		 * @returns {void}
 		 */
-		#_moveUpListItem(li) {
-			const prev = li.previousElementSibling;
-			if (!prev) return false;
-			li.parentNode.insertBefore(li, prev);
-			this.#_updateToolbars();
-			return true;
+		#_reflectItems() {
+			if (!this.hasAttribute('reflect')) return;
+			
+			this.#_reflecting = true;
+			this.setAttribute('items', JSON.stringify(this.items()));
+			this.#_reflecting = false;
 		}
-
+		
 		/**
-		 * Move an item down
+		 * Returns the items defined in the items attribute
 		 *
-		 * @param {HTMLElement} li the item li to move
-		 * @returns {bool} true if succeeded, false otherwise
+		 * @returns {array} the parsed items, or null if the attribute is
+		 *                  missing or not a JSON array
 		 */
-		#_moveDownListItem(li) {
-			const next = li.nextElementSibling;
-			if (!next) return false;
-			li.parentNode.insertBefore(next, li);
-			this.#_updateToolbars();
-			return true;
+		#_parseItemsAttribute() {
+			const json = this.getAttribute('items');
+			if (json === null) return null;
+			
+			try {
+				const listItems = JSON.parse(json);
+				return Array.isArray(listItems) ? listItems : null;
+			} catch (e) {
+				return null;
+			}
 		}
-
+		
 		/**
-		 * Removes an item
+		 * Links the list-item-X attributes to the items holding their values
 		 *
-		 * @param {HTMLElement} li the item li to remove
 		 * @returns {void}
 		 */
-		#_removeListItem(li) {
-			li.remove();
-			this.#_updateToolbars();
+		#_mapItemAttributes() {
+			const ids = new Map();
+			
+			[...this.attributes].forEach(attr => {
+				if (attr.name.includes('list-item')) {
+					const linked = [...ids.values()];
+					const item = this.#_items.find(item => item.value === attr.value && !linked.includes(item.id));
+					if (item) ids.set(attr.name, item.id);
+				}
+			});
+			
+			this.#_attributeItemIds = ids;
 		}
-
+		
 		/**
-		 * Get the containing element of the component items
+		 * Handler for list-item-X attributes added, changed or removed after
+		 * the element has been attached
 		 *
-		 * @returns {HTMLElement} the containing item
+		 * @param {array} records The attribute mutation records
+		 * @returns {void}
 		 */
-		#_itemList() {
-			return this.shadowRoot.querySelector('.item-list');
+		#_itemAttributesChanged(records) {
+			records.forEach(record => {
+				const name = record.attributeName;
+				if (!name.includes('list-item')) return;
+				
+				const value = this.getAttribute(name);
+				const index = this.indexOf(this.#_attributeItemIds.get(name));
+				
+				if (value === null) {
+					this.#_attributeItemIds.delete(name);
+					if (index >= 0) this.removeItem(index);
+				} else if (index >= 0) {
+					this.changeItem(index, value);
+				} else {
+					const count = this.#_items.length;
+					this.addItems([value]);
+					if (this.#_items.length > count) this.#_attributeItemIds.set(name, this.#_items[count].id);
+				}
+			});
 		}
 		
 		/**
-		 * Get the containing li element from an element inside it
+		 * Updates the value submitted with the parent form
 		 *
-		 * @param {HTMLElement} element an element inside the item li
-		 * @returns {HTMLElement} the item li
+		 * @returns {void}
 		 */
-		#_getLi(element) {
-			while (element.tagName !== "LI") element = element.parentNode;
-			return element;
+		#_updateFormValue() {
+			if (!this.shadowRoot) return;
+			const items = this.items();
+			const state = JSON.stringify(items);
+			const name = this.getAttribute('name');
+			switch (this.getAttribute('form-encoding')) {
+				case 'json':
+					this.#_internals.setFormValue(state, state);
+					break;
+				case 'csv':
+					this.#_internals.setFormValue(items.map(item => this.#_csvValue(item)).join(','), state);
+					break;
+				default: {
+					const data = new FormData();
+					if (name) items.forEach(item => data.append(name, item));
+					this.#_internals.setFormValue(data, state);
+				}
+			}
 		}
 		
 		/**
-		 * Get the containing li element by index
+		 * Updates the validity state of the element according to the
+		 * validation rules
 		 *
-		 * @param {integer} index the index of an element
-		 * @returns {HTMLElement} the item li at the specified index or null
+		 * @returns {void}
 		 */
-		#_getLiAtIndex(index) {
-			return this.#_itemList().children[index] || null;
+		#_updateValidity() {
+			if (!this.shadowRoot) return;
+			let error = this.#_itemCountError(0);
+			const rules = this.#_valueRules();
+			for (let i = 0; i < this.#_items.length && !error; i++) {
+				error = this.#_valueError(this.#_items[i].value, this.#_items[i], rules);
+			}
+			if (error) {
+				const message = error.message || this.#_string(error.flag);
+				const anchor = this.shadowRoot.querySelector('.add-new-list-item-input');
+				this.#_internals.setValidity({[error.flag]: true}, message, anchor);
+			} else {
+				this.#_internals.setValidity({});
+			}
 		}
 		
 		/**
-		 * Check if an item value already exists
+		 * Checks the number of items against the required, min-items and
+		 * max-items rules
 		 *
-		 * @param {string} newValue the new item value
-		 * @param {HTMLElement} item the item with the new value
-		 * @returns {bool} true if it exists, false otherwise
+		 * @param {integer} added the number of items about to be added
+		 * @returns {object} the failed validity flag and its message, or null
 		 */
-		#_valueExists(newValue, item) {
-			const itemWrappers = [...this.shadowRoot.querySelectorAll('li .item-wrapper')];
-			let exists = false;
-			for (var i = 0; i < itemWrappers.length; i++) {
-				if (itemWrappers[i] !== item && itemWrappers[i].innerText === newValue) {
-					exists = true;
-					break;
-				}
-			}					
-			return exists;
+		#_itemCountError(added) {
+			const count = this.#_items.length + added;
+			const minItems = this.#_intAttribute('min-items');
+			const maxItems = this.#_intAttribute('max-items');
+			if (maxItems !== null && count > maxItems) return {flag: 'rangeOverflow', message: this.#_string('rangeOverflow', {count: maxItems})};
+			if (added > 0) return null;
+			if (this.hasAttribute('required') && count === 0) return {flag: 'valueMissing', message: this.#_string('valueMissing')};
+			if (minItems !== null && count < minItems) return {flag: 'rangeUnderflow', message: this.#_string('rangeUnderflow', {count: minItems})};
+			return null;
 		}
 		
 		/**
-		 * Decode HTML code into plain text
+		 * Get the rules every item value is checked against, read once for
+		 * all the values checked together
 		 *
-		 * @param {string} html the HTML code
-		 * @returns {string} the decoded HTML
+		 * @returns {object} the min and max length, the pattern and the item
+		 *                   values passed to the validator function
 		 */
-		#_decodeHtml(html) {
-			var txt = document.createElement("textarea");
-			txt.innerHTML = html;
-			return txt.value;
+		#_valueRules() {
+			return {
+				minLength: this.#_intAttribute('min-length'),
+				maxLength: this.#_intAttribute('max-length'),
+				pattern: this.#_patternRegExp(),
+				items: this.#_validator ? this.items() : null
+			};
 		}
 		
 		/**
-		 *     Public Methods
+		 * Checks an item value against the min-length, max-length, pattern
+		 * and allow-duplicates rules and the validator function
+		 *
+		 * @param {string} value the item value
+		 * @param {object} item the item holding the value, or null for new items
+		 * @param {object} rules the rules from #_valueRules, read if omitted
+		 * @returns {object} the failed validity flag and its message, or null
 		 */
-
+		#_valueError(value, item, rules = this.#_valueRules()) {
+			const {minLength, maxLength, pattern} = rules;
+			if (minLength !== null && value.length < minLength) return {flag: 'tooShort', message: this.#_string('tooShort', {count: minLength})};
+			if (maxLength !== null && value.length > maxLength) return {flag: 'tooLong', message: this.#_string('tooLong', {count: maxLength})};
+			if (pattern && !pattern.test(value)) return {flag: 'patternMismatch', message: this.#_string('patternMismatch')};
+			if (this.getAttribute('allow-duplicates') === "false" && this.#_valueExists(value, item)) {
+				const duplicatePrompt = this.getAttribute('duplicate-prompt') || this.#_string('duplicate');
+				return {flag: 'customError', message: duplicatePrompt.trim()};
+			}
+			if (this.#_validator) {
+				const result = this.#_validator(value, rules.items);
+				if (result === false) return {flag: 'customError', message: this.#_string('customError')};
+				if (typeof result === 'string' && result !== '') return {flag: 'customError', message: result};
+			}
+			return null;
+		}
+		
 		/**
-		 * Get a list of all items of the component
+		 * Checks a typed value against the suggestions, if the
+		 * restrict-to-suggestions attribute is set
 		 *
-		 * @returns {array} the list of items
+		 * @param {string} value the item value
+		 * @returns {object} the failed validity flag and its message, or null
 		 */
-		items() {
-			return [...this.shadowRoot.querySelectorAll('.item-wrapper')].map((el) => this.#_decodeHtml(el.innerHTML));
+		#_suggestionError(value) {
+			if (!this.hasAttribute('restrict-to-suggestions')) return null;
+			const known = this.#_suggest ? this.#_suggested.has(value) : (this.#_suggestions || []).includes(value);
+			return known ? null : {flag: 'customError', message: this.#_string('suggestionMismatch')};
 		}
-
+		
 		/**
-		 * Add a list of items to the component
+		 * Makes an input suggest values while typing
 		 *
-		 * @param {array} listItems an array of items
+		 * @param {HTMLElement} input the add or edit input
+		 * @param {object} item the edited item, or null for the add input
 		 * @returns {void}
 		 */
-		addItems(listItems) {
-			const lis = [];
-			const items = [];
-			const buttons = {
-				up: [],
-				down: [],
-				remove: []
-			};
-			const allowDuplicates = this.getAttribute('allow-duplicates') !== "false";
-			listItems.forEach(listItem => {
-				if (allowDuplicates || !this.#_valueExists(listItem, null)) {
-					const li = document.createElement('li');
-					li.innerHTML = this.#_itemHTML(listItem);
-					this.#_itemList().appendChild(li);
-					lis.push(li);
-					items.push(li.querySelector('.item-wrapper'));
-					buttons.up.push(li.querySelector('.editable-list-up-item'));
-					buttons.down.push(li.querySelector('.editable-list-down-item'));
-					buttons.remove.push(li.querySelector('.editable-list-remove-item'));
-				}
-			});
-			this.#_handleLiListeners.bind(this)(lis);
-			this.#_handleItemListeners.bind(this)(items, buttons);
-			this.#_updateToolbars();
+		#_attachSuggestions(input, item) {
+			input.setAttribute('role', 'combobox');
+			input.setAttribute('aria-autocomplete', 'list');
+			input.setAttribute('aria-controls', 'suggestions');
+			input.setAttribute('aria-expanded', 'false');
+			input.addEventListener('input', this.#_updateSuggestions.bind(this, input, item, false), false);
+			input.addEventListener('keydown', this.#_suggestionsKeydown.bind(this, input, item), false);
+			input.addEventListener('blur', this.#_hideSuggestions.bind(this, input), false);
 		}
 		
 		/**
-		 * Remove an item's value by index
+		 * Shows the suggestions matching the value of an input
 		 *
-		 * @param {integer} index The index of the item to change
-		 * @param {string} newValue The new value of the item
-		 * @returns {void}
+		 * @param {HTMLElement} input the add or edit input
+		 * @param {object} item the edited item, or null for the add input
+		 * @param {bool} all true to show suggestions for an empty value
+		 * @returns {Promise} resolves once the suggestions are shown
 		 */
-		changeItem(index, newValue) {
-			const li = this.#_getLiAtIndex(index);
-			if (li === null) return;
+		async #_updateSuggestions(input, item, all) {
+			const request = ++this.#_suggestRequest;
+			const query = input.value.trim();
+			if ((!this.#_suggestions && !this.#_suggest) || (query === '' && !all)) {
+				this.#_hideSuggestions(input);
+				return;
+			}
 			
-			if (this._editing) return;
-			this._editing = true;
-
-			const itemWrapper = li.querySelector('.item-wrapper');
-			this.#_changeItem(li, newValue, itemWrapper.innerText);
+			let values;
+			try {
+				values = await this.#_suggestionValues(query);
+			} catch (e) {
+				values = [];
+			}
+			if (request !== this.#_suggestRequest || this.shadowRoot.activeElement !== input) return;
+			
+			const noDuplicates = this.getAttribute('allow-duplicates') === "false";
+			values = [...new Set(values)].filter(value => !(noDuplicates && this.#_valueExists(value, item)));
+			this.#_showSuggestions(input, values);
 		}
-
+		
 		/**
-		 * Remove an item by index
+		 * Get the suggested values for a query, from the suggest function or
+		 * the suggestions list
 		 *
-		 * @param {integer} index The index of the item to remove
-		 * @returns {void}
+		 * @param {string} query the typed text
+		 * @returns {Promise} resolves with the suggested values
 		 */
-		removeItem(index) {
-			const li = this.#_getLiAtIndex(index);
-			if (li === null) return;
-			
-			this.#_removeListItem(li);
+		async #_suggestionValues(query) {
+			if (this.#_suggest) {
+				const values = (await this.#_suggest(query) || []).map(value => String(value));
+				values.forEach(value => this.#_suggested.add(value));
+				return values;
+			}
+			const lowerQuery = query.toLowerCase();
+			return this.#_suggestions.filter(value => value.toLowerCase().includes(lowerQuery));
 		}
-
+		
 		/**
-		 * Move an item up by index
+		 * Renders the suggestions below an input, or hides them if there are
+		 * none
 		 *
-		 * @param {integer} index The index of the item to move
+		 * @param {HTMLElement} input the add or edit input
+		 * @param {array} values the suggested values
 		 * @returns {void}
 		 */
-		moveItemUp(index) {
-			const li = this.#_getLiAtIndex(index);
-			if (li === null) return;
+		#_showSuggestions(input, values) {
+			if (values.length === 0) {
+				this.#_hideSuggestions(input);
+				return;
+			}
 			
-			this.#_moveUpListItem(li);
+			const list = this.shadowRoot.querySelector('.suggestions');
+			const container = this.shadowRoot.querySelector('.editable-list');
+			list.replaceChildren(...values.map((value, index) => {
+				const option = document.createElement('li');
+				option.id = `suggestion-${index}`;
+				option.setAttribute('role', 'option');
+				option.setAttribute('part', 'suggestion');
+				option.setAttribute('aria-selected', 'false');
+				option.textContent = value;
+				option._value = value;
+				option.addEventListener('pointerdown', e => e.preventDefault(), false);
+				option.addEventListener('click', this.#_pickSuggestion.bind(this, input, value), false);
+				return option;
+			}));
+			
+			const rect = input.getBoundingClientRect();
+			const containerRect = container.getBoundingClientRect();
+			if (this.#_isRtl()) {
+				list.style.left = '';
+				list.style.right = `${containerRect.right - rect.right - container.clientLeft}px`;
+			} else {
+				list.style.left = `${rect.left - containerRect.left - container.clientLeft}px`;
+			}
+			list.style.top = `${rect.bottom - containerRect.top - container.clientTop}px`;
+			list.style.minWidth = `${rect.width}px`;
+			list.hidden = false;
+			input.setAttribute('aria-expanded', 'true');
+			this.#_setActiveSuggestion(input, -1);
 		}
-
+		
 		/**
-		 * Move an item down by index
+		 * Hides the suggestions of an input
 		 *
-		 * @param {integer} index The index of the item to move
+		 * @param {HTMLElement} input the add or edit input
 		 * @returns {void}
 		 */
-		moveItemDown(index) {
-			const li = this.#_getLiAtIndex(index);
-			if (li === null) return;
-			
-			this.#_moveDownListItem(li);
+		#_hideSuggestions(input) {
+			this.#_suggestRequest++;
+			this.#_suggestActive = -1;
+			this.shadowRoot.querySelector('.suggestions').hidden = true;
+			input.setAttribute('aria-expanded', 'false');
+			input.removeAttribute('aria-activedescendant');
 		}
-
+		
 		/**
-		 * Remove all items
+		 * Highlights a suggestion, which Enter then picks
 		 *
+		 * @param {HTMLElement} input the add or edit input
+		 * @param {integer} index the index of the suggestion, or -1 for none
 		 * @returns {void}
 		 */
-		removeAllItems() {
-			this.#_itemList().innerHTML = "";
+		#_setActiveSuggestion(input, index) {
+			const options = [...this.shadowRoot.querySelector('.suggestions').children];
+			this.#_suggestActive = index;
+			options.forEach((option, i) => {
+				option.classList.toggle('active', i === index);
+				option.setAttribute('aria-selected', i === index);
+			});
+			if (index < 0) {
+				input.removeAttribute('aria-activedescendant');
+				return;
+			}
+			input.setAttribute('aria-activedescendant', options[index].id);
+			options[index].scrollIntoView({block: 'nearest'});
 		}
 		
 		/**
-		 * Unselect all items
+		 * Handles the keyboard navigation of the suggestions of an input
 		 *
+		 * @param {HTMLElement} input the add or edit input
+		 * @param {object} item the edited item, or null for the add input
+		 * @param {KeyboardEvent} e the caller event object
 		 * @returns {void}
 		 */
-		unselectAllItems() {
-			this.#_cleanSelection();
+		#_suggestionsKeydown(input, item, e) {
+			const list = this.shadowRoot.querySelector('.suggestions');
+			const count = list.hidden ? 0 : list.children.length;
+			switch (e.key) {
+				case "ArrowDown":
+				case "ArrowUp":
+					if (count === 0) {
+						if (e.key === "ArrowDown") this.#_updateSuggestions(input, item, true);
+						return;
+					}
+					e.preventDefault();
+					this.#_setActiveSuggestion(input, (this.#_suggestActive + (e.key === "ArrowDown" ? 1 : count - 1) + (this.#_suggestActive < 0 && e.key === "ArrowUp" ? 1 : 0)) % count);
+					break;
+				case "Enter":
+					// the suggestion is committed by the keypress handlers of the input
+					if (count > 0 && this.#_suggestActive >= 0) input.value = list.children[this.#_suggestActive]._value;
+					this.#_hideSuggestions(input);
+					break;
+				case "Escape":
+					if (count === 0) return;
+					e.preventDefault();
+					e.stopImmediatePropagation();
+					this.#_hideSuggestions(input);
+					break;
+			}
+		}
+		
+		/**
+		 * Picks a suggestion with the mouse and commits it like Enter
+		 *
+		 * @param {HTMLElement} input the add or edit input
+		 * @param {string} value the suggested value
+		 * @returns {void}
+		 */
+		#_pickSuggestion(input, value) {
+			input.value = value;
+			this.#_hideSuggestions(input);
+			input.dispatchEvent(new KeyboardEvent('keypress', {key: "Enter"}));
+		}
+		
+		/**
+		 * Get the regular expression of the pattern attribute, which has to
+		 * match the whole value like the pattern of native inputs
+		 *
+		 * @returns {RegExp} the regular expression, or null if none or invalid
+		 */
+		#_patternRegExp() {
+			const pattern = this.getAttribute('pattern');
+			if (pattern === null) return null;
+			try {
+				return new RegExp(`^(?:${pattern})$`, 'u');
+			} catch (e) {
+				return null;
+			}
+		}
+		
+		/**
+		 * Get the value of a non-negative integer attribute
+		 *
+		 * @param {string} name the attribute name
+		 * @returns {integer} the attribute value, or null if missing or invalid
+		 */
+		#_intAttribute(name) {
+			const value = parseInt(this.getAttribute(name), 10);
+			return isNaN(value) || value < 0 ? null : value;
+		}
+		
+		/**
+		 * Shows a message below the list, or hides it if the message is empty
+		 *
+		 * @param {string} message the message to show
+		 * @returns {void}
+		 */
+		#_showError(message) {
+			const errorMessage = this.shadowRoot.querySelector('.error-message');
+			errorMessage.textContent = message;
+			errorMessage.hidden = !message;
+			this.shadowRoot.querySelector('.add-new-list-item-input').setAttribute('aria-invalid', !!message);
+			if (message) this.#_announce(message);
+		}
+		
+		/**
+		 * Shows how many items an import added, skipped or rejected below the
+		 * list, or hides it if there is no summary
+		 *
+		 * @param {object} summary the import summary, or null
+		 * @returns {void}
+		 */
+		#_showImportSummary(summary) {
+			const importSummary = this.shadowRoot.querySelector('.import-summary');
+			importSummary.hidden = !summary;
+			if (!summary) return;
+			
+			const parts = [this.#_string('importAdded', {count: summary.added})];
+			if (summary.duplicates > 0) parts.push(this.#_string('importDuplicates', {count: summary.duplicates}));
+			if (summary.rejected > 0) parts.push(this.#_string('importRejected', {count: summary.rejected}));
+			importSummary.textContent = parts.join(', ');
+			this.#_announce(importSummary.textContent);
+		}
+		
+		/**
+		 * Announces a message to screen readers through the live region
+		 *
+		 * @param {string} message the message to announce
+		 * @returns {void}
+		 */
+		#_announce(message) {
+			const liveRegion = this.shadowRoot.querySelector('.live-region');
+			// a trailing non-breaking space makes repeated messages be announced again
+			liveRegion.textContent = (liveRegion.textContent === message ? message + '\u00A0' : message);
+		}
+		
+		/**
+		 * Get a user-facing string from the strings property or the default
+		 * strings; plural strings are objects keyed by Intl.PluralRules
+		 * category, chosen by the count parameter
+		 *
+		 * @param {string} key the key of the string
+		 * @param {object} params the values of the {name} placeholders
+		 * @returns {string} the string
+		 */
+		#_string(key, params = {}) {
+			let string = this.#_strings[key] ?? EditableList.#_defaultStrings[key];
+			const locale = this.locale;
+			if (string !== null && typeof string === 'object') {
+				this.#_pluralRules ??= new Intl.PluralRules(locale);
+				string = string[this.#_pluralRules.select(params.count ?? 0)] ?? string.other;
+			}
+			return String(string ?? '').replace(/\{(\w+)\}/g, (match, name) => {
+				if (!(name in params)) return match;
+				return typeof params[name] === 'number' ? params[name].toLocaleString(locale) : params[name];
+			});
+		}
+		
+		/**
+		 * Fills the elements with data-string, data-string-title,
+		 * data-string-label or data-string-placeholder attributes with the
+		 * string they name
+		 *
+		 * @param {HTMLElement} root the element containing the strings
+		 * @returns {void}
+		 */
+		#_applyStrings(root) {
+			root.querySelectorAll('[data-string], [data-string-title], [data-string-label], [data-string-placeholder]').forEach(element => {
+				const {string, stringTitle, stringLabel, stringPlaceholder} = element.dataset;
+				if (string) element.textContent = this.#_string(string);
+				if (stringTitle) element.title = this.#_string(stringTitle);
+				if (stringLabel) element.setAttribute('aria-label', this.#_string(stringLabel));
+				if (stringPlaceholder) element.placeholder = this.#_string(stringPlaceholder);
+			});
+		}
+		
+		/**
+		 * Renders all the strings again, after the locale or the strings
+		 * changed
+		 *
+		 * @returns {void}
+		 */
+		#_updateStrings() {
+			this.#_resolvedLocale = null;
+			this.#_pluralRules = null;
+			if (!this.shadowRoot) return;
+			this.#_applyStrings(this.shadowRoot);
+			this.#_items.forEach(item => {
+				const li = this.#_lis.get(item);
+				if (!li) return;
+				this.#_applyStrings(li);
+				this.#_updateItemLabels(li);
+			});
+			this.#_itemList().setAttribute('aria-label', this.getAttribute('aria-label') || this.#_string('items'));
+			this.shadowRoot.querySelector('.add-new-list-item-input').setAttribute('placeholder', this.getAttribute('add-item-text') || this.#_string('addItemText'));
+			this.#_updateSelectionToolbar();
+			this.#_updateValidity();
+		}
+		
+		/**
+		 * Checks if the element is laid out from right to left, from the dir
+		 * attribute of the element or of its closest ancestor
+		 *
+		 * @returns {bool} true for a right-to-left layout
+		 */
+		#_isRtl() {
+			const dir = (this.closest('[dir]')?.getAttribute('dir') || '').toLowerCase();
+			return dir === 'rtl' || (dir === 'auto' && getComputedStyle(this).direction === 'rtl');
+		}
+		
+		/**
+		 * Formats item values as a json, csv or text string
+		 *
+		 * @param {array} values the item values
+		 * @param {string} format json, csv (one value per record) or text
+		 *                        (one value per line)
+		 * @returns {string} the formatted values
+		 */
+		#_export(values, format) {
+			switch (format) {
+				case 'json':
+					return JSON.stringify(values);
+				case 'csv':
+					return values.map(value => this.#_csvValue(value)).join('\r\n');
+				case 'text':
+					return values.join('\n');
+				default:
+					throw new TypeError(`Unsupported format: ${format}`);
+			}
+		}
+		
+		/**
+		 * Reads the items of a json, csv or text string
+		 *
+		 * @param {string|array} data the string, or an array for json
+		 * @param {string} format json, csv or text
+		 * @returns {array} the item values or item objects
+		 */
+		#_parseItems(data, format) {
+			switch (format) {
+				case 'json': {
+					const listItems = typeof data === 'string' ? JSON.parse(data) : data;
+					if (!Array.isArray(listItems)) throw new TypeError('JSON data must be an array');
+					return listItems;
+				}
+				case 'csv':
+					return this.#_parseCsv(String(data)).flat().filter(value => value.trim() !== '');
+				case 'text':
+					return this.#_splitText(String(data), 'newline');
+				default:
+					throw new TypeError(`Unsupported format: ${format}`);
+			}
+		}
+		
+		/**
+		 * Parses a CSV text following RFC 4180, where quoted fields may
+		 * contain commas, line breaks and doubled quotes
+		 *
+		 * @param {string} text the CSV text
+		 * @returns {array} the records, each an array of fields
+		 */
+		#_parseCsv(text) {
+			const records = [];
+			let record = [];
+			let field = '';
+			let quoted = false;
+			for (let i = 0; i < text.length; i++) {
+				const char = text[i];
+				if (quoted) {
+					if (char === '"' && text[i + 1] === '"') {
+						field += '"';
+						i++;
+					} else if (char === '"') {
+						quoted = false;
+					} else {
+						field += char;
+					}
+				} else if (char === '"') {
+					quoted = true;
+				} else if (char === ',') {
+					record.push(field);
+					field = '';
+				} else if (char === '\r' || char === '\n') {
+					if (char === '\r' && text[i + 1] === '\n') i++;
+					record.push(field);
+					records.push(record);
+					record = [];
+					field = '';
+				} else {
+					field += char;
+				}
+			}
+			if (field !== '' || record.length > 0) {
+				record.push(field);
+				records.push(record);
+			}
+			return records;
+		}
+		
+		/**
+		 * Quotes a value to be used as a CSV field, if needed
+		 *
+		 * @param {string} value the value to quote
+		 * @returns {string} the CSV field
+		 */
+		#_csvValue(value) {
+			if (!/[",\r\n]/.test(value)) return value;
+			return `"${value.replace(/"/g, '""')}"`;
+		}
+
+		/**
+		 * Returns the initial element items defined in attributes
+		 *
+		 * @returns {array}
+		 */
+		#_initialItems() {
+			const items = [];
+
+			[...this.attributes].forEach(attr => {
+				if (attr.name.includes('list-item')) {
+					items.push(attr.value);
+				}
+			});
+
+			return items;
+		}
+
+		/**
+		 * Generates the inner HTML of the li of each item; the item itself is
+		 * rendered into the item wrapper by #_renderItem
+		 *
+		 * @returns {string} the item's HTML code
+		 */
+		#_itemHTML() {
+			return `
+				<span class="drag-handle" aria-hidden="true" part="drag-handle" data-icon="drag"></span>
+				<div class="item-wrapper" part="item-value"></div>
+				<div class="toolbar" part="item-toolbar">
+					<button class="editable-list-up-item icon" tabindex="-1" part="button move-up-button" data-icon="up" data-string-title="moveUp"></button>
+					<button class="editable-list-down-item icon" tabindex="-1" part="button move-down-button" data-icon="down" data-string-title="moveDown"></button>
+					<span class="item-actions"></span>
+					<button class="editable-list-remove-item icon" tabindex="-1" part="button remove-button" data-icon="remove" data-string-title="remove"></button>
+				</div>
+			`;
+		}
+		
+		/**
+		 * Creates the object of a new item from a value or an item object;
+		 * generates an id if the item has none or its id is already taken
+		 *
+		 * @param {string|object} listItem the item value or an object with
+		 *                                 the id, value and data of the item
+		 * @returns {object} the item object
+		 */
+		#_newItem(listItem) {
+			const item = (listItem !== null && typeof listItem === 'object') ? listItem : {value: listItem};
+			const hasId = item.id !== undefined && item.id !== null && this.indexOf(item.id) < 0;
+			return {
+				id: hasId ? item.id : `item-${++EditableList.#_lastId}`,
+				value: String(item.value ?? ''),
+				data: item.data ?? null,
+				...(item.locked ? {locked: true} : {})
+			};
+		}
+		
+		/**
+		 * Creates the li of a new item, with its event handlers attached
+		 *
+		 * @param {object} item the item object
+		 * @returns {HTMLElement} the item li
+		 */
+		#_createLi(item) {
+			const li = document.createElement('li');
+			li.setAttribute('role', 'option');
+			li.setAttribute('aria-selected', 'false');
+			li.setAttribute('part', 'item');
+			li._item = item;
+			li.innerHTML = this.#_itemHTML();
+			this.#_applyIcons(li);
+			this.#_applyStrings(li);
+			this.#_renderItemActions(li);
+			li.querySelector('.item-actions').addEventListener('click', this.#_itemActionEvent.bind(this), false);
+			this.#_handleLiListeners([li]);
+			this.#_handleItemListeners([li.querySelector('.item-wrapper')], {
+				up: [li.querySelector('.editable-list-up-item')],
+				down: [li.querySelector('.editable-list-down-item')],
+				remove: [li.querySelector('.editable-list-remove-item')]
+			});
+			return li;
+		}
+		
+		/**
+		 * Get the li of an item, creating and rendering it the first time;
+		 * in a virtual list, items only get a li once they are scrolled into
+		 * view
+		 *
+		 * @param {object} item the item object
+		 * @returns {HTMLElement} the item li
+		 */
+		#_liFor(item) {
+			let li = this.#_lis.get(item);
+			if (!li) {
+				li = this.#_createLi(item);
+				this.#_lis.set(item, li);
+				this.#_renderItem(li);
+			}
+			return li;
+		}
+		
+		/**
+		 * Inserts a new item at an index, and its li unless the list is
+		 * virtual
+		 *
+		 * @param {object} item the item object
+		 * @param {integer} index the index of the new item
+		 * @returns {void}
+		 */
+		#_insertLi(item, index) {
+			const virtual = this.hasAttribute('virtual');
+			const next = virtual ? null : this.#_getLiAtIndex(index);
+			this.#_items.splice(index, 0, item);
+			this.#_countValue(item.value, 1);
+			if (virtual) {
+				this.#_scheduleRender();
+				return;
+			}
+			this.#_itemList().insertBefore(this.#_liFor(item), next);
+		}
+		
+		/**
+		 * Inserts a new item at an index
+		 *
+		 * @param {object} item the item object
+		 * @param {integer} index the index of the new item
+		 * @returns {HTMLElement} the item li
+		 */
+		#_insertItem(item, index) {
+			this.#_insertLi(item, index);
+			this.#_record({action: "add", index: index, item: item.value, id: item.id, data: item.data});
+			this.#_updateToolbars();
+			this.#_itemsChanged();
+			return this.#_getLiAtIndex(index);
+		}
+		
+		/**
+		 * Changes the value of an item, keeping the count of values up to date
+		 *
+		 * @param {object} item the item object
+		 * @param {string} value the new value
+		 * @returns {void}
+		 */
+		#_setItemValue(item, value) {
+			this.#_countValue(item.value, -1);
+			item.value = value;
+			this.#_countValue(value, 1);
+		}
+		
+		/**
+		 * Updates the number of items with a value, used to find duplicates
+		 * without going through all the items
+		 *
+		 * @param {string} value the item value
+		 * @param {integer} delta 1 for an added value, -1 for a removed one
+		 * @returns {void}
+		 */
+		#_countValue(value, delta) {
+			const count = (this.#_valueCounts.get(value) || 0) + delta;
+			if (count > 0) this.#_valueCounts.set(value, count);
+			else this.#_valueCounts.delete(value);
+		}
+		
+		/**
+		 * Switches between rendering all the items and rendering only the rows
+		 * in view, as set by the virtual attribute
+		 *
+		 * @returns {void}
+		 */
+		#_updateVirtual() {
+			const virtual = this.hasAttribute('virtual');
+			const list = this.#_itemList();
+			this.shadowRoot.querySelector('.editable-list').classList.toggle('virtual', virtual);
+			this.#_rowSize = 0;
+			if (virtual) {
+				this.#_renderWindow(null);
+				return;
+			}
+			
+			list.style.paddingTop = '';
+			this.#_items.forEach(item => {
+				const li = this.#_liFor(item);
+				li.style.top = li.style.height = '';
+				li.removeAttribute('aria-posinset');
+				li.removeAttribute('aria-setsize');
+				if (!li.isConnected) this.#_renderItem(li);
+				list.appendChild(li);
+			});
+			this.#_updateToolbars();
+		}
+		
+		/**
+		 * Get the height of the rows of a virtual list
+		 *
+		 * @returns {number} the row height, in pixels
+		 */
+		#_rowHeight() {
+			const height = parseFloat(this.getAttribute('virtual'));
+			if (height > 0) return height;
+			return this.#_rowSize || 36;
+		}
+		
+		/**
+		 * Renders the rows of a virtual list on the next microtask, so that a
+		 * burst of changes renders them only once
+		 *
+		 * @returns {void}
+		 */
+		#_scheduleRender() {
+			if (!this.hasAttribute('virtual') || this.#_renderScheduled) return;
+			this.#_renderScheduled = true;
+			queueMicrotask(() => {
+				if (this.#_renderScheduled) this.#_renderWindow(null);
+			});
+		}
+		
+		/**
+		 * Handler that renders the rows scrolled into view of a virtual list,
+		 * once per animation frame
+		 *
+		 * @returns {void}
+		 */
+		#_scrollEvent() {
+			if (!this.hasAttribute('virtual') || this.#_scrollFrame) return;
+			this.#_scrollFrame = requestAnimationFrame(() => {
+				this.#_scrollFrame = 0;
+				this.#_renderWindow(null);
+			});
+		}
+		
+		/**
+		 * Renders the rows of a virtual list that are in view, plus a few
+		 * around them; the focused item, e.g. one being edited, stays
+		 * rendered when it is scrolled out of view
+		 *
+		 * @param {object} keep an item to render even if it is out of view
+		 * @returns {void}
+		 */
+		#_renderWindow(keep) {
+			this.#_renderScheduled = false;
+			if (!this.hasAttribute('virtual') || !this.shadowRoot) return;
+			const list = this.#_itemList();
+			const rows = this.#_shownItems();
+			const height = this.#_rowHeight();
+			const overscan = 5;
+			const start = Math.max(0, Math.floor(list.scrollTop / height) - overscan);
+			const end = Math.min(rows.length, Math.ceil((list.scrollTop + list.clientHeight) / height) + overscan);
+			
+			const entries = rows.slice(start, end).map((item, i) => ({item: item, row: start + i}));
+			const focused = this.shadowRoot.activeElement ? this.shadowRoot.activeElement.closest('.item-list > li') : null;
+			new Set([focused ? focused._item : null, keep]).forEach(item => {
+				const row = item ? rows.indexOf(item) : -1;
+				if (row >= 0 && (row < start || row >= end)) entries.push({item: item, row: row});
+			});
+			entries.sort((a, b) => a.row - b.row);
+			
+			// the padding gives the list the height of all the rows
+			list.style.paddingTop = `${rows.length * height}px`;
+			const lis = entries.map(({item, row}) => {
+				const li = this.#_liFor(item);
+				li.style.top = `${row * height}px`;
+				li.style.height = this.getAttribute('virtual') ? `${height}px` : '';
+				li.setAttribute('aria-posinset', row + 1);
+				li.setAttribute('aria-setsize', rows.length);
+				return li;
+			});
+			const wanted = new Set(lis);
+			[...list.children].forEach(li => {
+				if (!wanted.has(li)) li.remove();
+			});
+			lis.forEach((li, i) => {
+				if (list.children[i] === li) return;
+				const attached = li.isConnected;
+				list.insertBefore(li, list.children[i] || null);
+				// a li rendered out of view may have missed a change of the filter or renderer
+				if (!attached) this.#_renderItem(li);
+			});
+			this.#_updateToolbars();
+			
+			if (!this.#_rowSize && !(parseFloat(this.getAttribute('virtual')) > 0) && lis.length > 0) {
+				this.#_rowSize = lis[0].getBoundingClientRect().height;
+				if (this.#_rowSize && this.#_rowSize !== height) this.#_renderWindow(keep);
+			}
+		}
+		
+		/**
+		 * Get the li of an item, scrolling a virtual list to the item and
+		 * rendering it first
+		 *
+		 * @param {object} item the item object
+		 * @returns {HTMLElement} the item li, or null if there is no item
+		 */
+		#_revealItem(item) {
+			if (!item) return null;
+			if (this.hasAttribute('virtual')) {
+				const list = this.#_itemList();
+				const height = this.#_rowHeight();
+				const row = this.#_shownItems().indexOf(item);
+				if (row < 0) return this.#_liFor(item);
+				const top = row * height;
+				if (top < list.scrollTop) list.scrollTop = top;
+				else if (top + height > list.scrollTop + list.clientHeight) list.scrollTop = top + height - list.clientHeight;
+				this.#_renderWindow(item);
+			}
+			return this.#_liFor(item);
+		}
+		
+		/**
+		 * Renders the value of an item in its li
+		 *
+		 * @param {HTMLElement} li the item li
+		 * @returns {void}
+		 */
+		#_renderItem(li) {
+			const itemWrapper = li.querySelector('.item-wrapper');
+			const item = {...li._item};
+			const template = this.querySelector(':scope > template[slot="item"]');
+			if (this.#_itemRenderer) {
+				const content = this.#_itemRenderer(item, this.#_liIndex(li));
+				if (content instanceof Node) itemWrapper.replaceChildren(content);
+				else itemWrapper.textContent = content ?? item.value;
+			} else if (template) {
+				const content = template.content.cloneNode(true);
+				content.querySelectorAll('[data-field]').forEach(element => {
+					if (element.dataset.field === 'value') this.#_highlight(element, item.value);
+					else element.textContent = this.#_fieldValue(item, element.dataset.field);
+				});
+				itemWrapper.replaceChildren(content);
+			} else {
+				this.#_highlight(itemWrapper, item.value);
+			}
+			li.hidden = !this.#_matchesFilter(item.value);
+			this.#_updateItemLabels(li);
+			this.#_updateItemState(li);
+		}
+		
+		/**
+		 * Shows the filter bar and the sort buttons if the filterable and
+		 * sortable attributes are set, and hides the move controls of a
+		 * sorted list
+		 *
+		 * @returns {void}
+		 */
+		#_updateListHeader() {
+			const filterBar = this.shadowRoot.querySelector('.filter-bar');
+			const sortToolbar = this.shadowRoot.querySelector('.sort-toolbar');
+			const sorted = this.hasAttribute('sorted');
+			filterBar.hidden = !this.hasAttribute('filterable');
+			sortToolbar.hidden = !this.hasAttribute('sortable') || sorted || !this.#_allows('reorder', null);
+			this.shadowRoot.querySelector('.list-header').hidden = filterBar.hidden && sortToolbar.hidden;
+			this.shadowRoot.querySelector('.editable-list').classList.toggle('sorted', sorted);
+		}
+		
+		/**
+		 * Handler of the A to Z and Z to A buttons
+		 *
+		 * @param {bool} descending true to sort from Z to A
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_sortEvent(descending, e) {
+			e.stopPropagation();
+			if (this.hasAttribute('sorted') || !this.#_sortItems(this.#_valueCompare(descending), "user")) return;
+			
+			this.#_announce(this.#_string(descending ? 'sortedDescending' : 'sortedAscending'));
+		}
+		
+		/**
+		 * Get a function comparing items by value, in the natural order of
+		 * the language, ignoring case and accents
+		 *
+		 * @param {bool} descending true to compare in descending order
+		 * @returns {function} the compare function of two item objects
+		 */
+		#_valueCompare(descending) {
+			const collator = new Intl.Collator(this.locale, {numeric: true, sensitivity: 'base'});
+			return (a, b) => collator.compare(a.value, b.value) * (descending ? -1 : 1);
+		}
+		
+		/**
+		 * Get the compare function of the sorted attribute
+		 *
+		 * @returns {function} the compare function of two item objects, or
+		 *                     null if the list is not sorted
+		 */
+		#_sortCompare() {
+			if (!this.hasAttribute('sorted')) return null;
+			return this.#_valueCompare(this.getAttribute('sorted') === 'desc');
+		}
+		
+		/**
+		 * Get the index where an item value belongs in a sorted list
+		 *
+		 * @param {string} value the item value
+		 * @param {integer} index the index used if the list is not sorted
+		 * @param {object} exclude an item left out, e.g. the edited one
+		 * @returns {integer} the index of the value
+		 */
+		#_sortedIndex(value, index, exclude) {
+			const compare = this.#_sortCompare();
+			if (!compare) return index;
+			return this.#_items.filter(item => item !== exclude && compare(item, {value: value}) <= 0).length;
+		}
+		
+		/**
+		 * Sorts the items with a compare function; items that compare equal
+		 * keep their order
+		 *
+		 * @param {function} compare the compare function of two item objects
+		 * @param {string} source user or api, the origin of the change
+		 * @param {bool} force true to skip the permissions and the
+		 *                     before-move event, for the sorted attribute
+		 * @returns {bool} true if the order changed, false otherwise
+		 */
+		#_sortItems(compare, source, force = false) {
+			const order = this.#_items.map((item, index) => index);
+			order.sort((a, b) => compare(this.#_items[a], this.#_items[b]) || a - b);
+			return this.#_reorderItems(order, source, force);
+		}
+		
+		/**
+		 * Reorders all the items as a single change, unless a before-move
+		 * listener prevents the move of any of them, and fires a single
+		 * change event with the previous index of every item
+		 *
+		 * @param {array} order the previous indices of the items, in their
+		 *                      new order
+		 * @param {string} source user or api, the origin of the change
+		 * @param {bool} force true to skip the permissions and the
+		 *                     before-move event
+		 * @returns {bool} true if the order changed, false otherwise
+		 */
+		#_reorderItems(order, source, force = false) {
+			if (this._editing || order.every((from, to) => from === to)) return false;
+			const items = order.map(index => this.#_items[index]);
+			if (!force && items.some((item, to) => order[to] !== to && !this.#_allows('reorder', item))) return false;
+			if (!force && items.some((item, to) => order[to] !== to && !this.#_beforeEvent("move", {fromIndex: order[to], toIndex: to, id: item.id, value: item.value, source: source}))) return false;
+			
+			this.#_applyOrder(order);
+			this.#_dispatchChanges([{
+				action: "sort",
+				bulk: true,
+				fromIndices: order,
+				toIndices: order.map((from, to) => to),
+				ids: items.map(item => item.id),
+				values: items.map(item => item.value),
+				source: source
+			}]);
+			return true;
+		}
+		
+		/**
+		 * Handler that filters the items as the user types in the filter input
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_filterInputEvent(e) {
+			this.#_applyFilter(e.target.value);
+			if (this.#_filter) this.#_announce(this.#_string('filterResults', {shown: this.#_shownItems().length, count: this.#_items.length}));
+		}
+		
+		/**
+		 * Handler that clears the filter on Escape
+		 *
+		 * @param {KeyboardEvent} e the caller event object
+		 * @returns {void}
+		 */
+		#_filterKeydown(e) {
+			if (e.key !== "Escape" || e.target.value === '') return;
+			e.preventDefault();
+			e.target.value = '';
+			this.#_applyFilter('');
+		}
+		
+		/**
+		 * Hides the items that do not match a filter text and highlights the
+		 * matches in the others; hidden items leave the selection, so that
+		 * bulk actions only apply to shown items
+		 *
+		 * @param {string} query the filter text
+		 * @returns {void}
+		 */
+		#_applyFilter(query) {
+			this.#_filterQuery = query;
+			this.#_filter = this.#_normalizeText(query.trim());
+			this.shadowRoot.querySelector('.editable-list').classList.toggle('filtered', this.#_filter !== '');
+			[...this.#_itemList().children].filter(li => li._item).forEach(li => this.#_renderItem(li));
+			const shown = this.#_items.filter(item => this.#_selection.has(item.id) && this.#_matchesFilter(item.value));
+			this.#_setSelection(shown.map(item => item.id));
+			this.#_updateToolbars();
+			this.#_scheduleRender();
+		}
+		
+		/**
+		 * Normalizes a text for filtering, removing case and diacritics
+		 *
+		 * @param {string} text the text to normalize
+		 * @returns {string} the normalized text
+		 */
+		#_normalizeText(text) {
+			return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+		}
+		
+		/**
+		 * Checks whether an item value matches the filter
+		 *
+		 * @param {string} value the item value
+		 * @returns {bool} true if it matches, or if there is no filter
+		 */
+		#_matchesFilter(value) {
+			return !this.#_filter || this.#_normalizeText(value).includes(this.#_filter);
+		}
+		
+		/**
+		 * Get the ranges of a value that match the filter
+		 *
+		 * @param {string} value the item value
+		 * @returns {array} the [start, end] offsets of the matches in the value
+		 */
+		#_matchRanges(value) {
+			if (!this.#_filter) return [];
+			// normalizing character by character keeps track of the offsets in the value
+			let normalized = '';
+			const starts = [];
+			const ends = [];
+			for (let i = 0; i < value.length;) {
+				const char = String.fromCodePoint(value.codePointAt(i));
+				const text = this.#_normalizeText(char);
+				for (let j = 0; j < text.length; j++) {
+					starts.push(i);
+					ends.push(i + char.length);
+				}
+				normalized += text;
+				i += char.length;
+			}
+			
+			const ranges = [];
+			let index = normalized.indexOf(this.#_filter);
+			while (index >= 0) {
+				const end = index + this.#_filter.length;
+				ranges.push([starts[index], ends[end - 1]]);
+				index = normalized.indexOf(this.#_filter, end);
+			}
+			return ranges;
+		}
+		
+		/**
+		 * Renders a value as the text of an element, with the matches of the
+		 * filter highlighted
+		 *
+		 * @param {HTMLElement} element the element receiving the value
+		 * @param {string} value the item value
+		 * @returns {void}
+		 */
+		#_highlight(element, value) {
+			const ranges = this.#_matchRanges(value);
+			if (ranges.length === 0) {
+				element.textContent = value;
+				return;
+			}
+			const nodes = [];
+			let last = 0;
+			ranges.forEach(([start, end]) => {
+				const mark = document.createElement('mark');
+				mark.setAttribute('part', 'match');
+				mark.textContent = value.slice(start, end);
+				nodes.push(value.slice(last, start), mark);
+				last = end;
+			});
+			nodes.push(value.slice(last));
+			element.replaceChildren(...nodes);
+		}
+		
+		/**
+		 * Get the items shown by the filter
+		 *
+		 * @returns {array} the shown item objects
+		 */
+		#_shownItems() {
+			return this.#_filter ? this.#_items.filter(item => this.#_matchesFilter(item.value)) : this.#_items;
+		}
+		
+		/**
+		 * Get a shown item before or after an item, skipping hidden ones
+		 *
+		 * @param {HTMLElement} li the item li
+		 * @param {integer} offset -1 for the previous item, 1 for the next one
+		 * @returns {HTMLElement} the shown item li, or null
+		 */
+		#_shownSibling(li, offset) {
+			const items = this.#_shownItems();
+			const index = items.indexOf(li._item);
+			return index < 0 ? null : this.#_revealItem(items[index + offset]);
+		}
+		
+		/**
+		 * Checks whether moving items would swap them with an item hidden by
+		 * the filter, a move the user could not see
+		 *
+		 * @param {array} indices the indices of the moved items
+		 * @param {integer} offset -1 to move the items up, 1 to move them down
+		 * @returns {bool} true if the move is ambiguous
+		 */
+		#_moveAmbiguous(indices, offset) {
+			if (!this.#_filter) return false;
+			const ids = new Set(indices.map(index => this.#_items[index].id));
+			return indices.some(index => {
+				const neighbor = this.#_items[index + offset];
+				return neighbor && !ids.has(neighbor.id) && !this.#_matchesFilter(neighbor.value);
+			});
+		}
+		
+		/**
+		 * Shows whether an item has changes pending in the data source, or a
+		 * change the data source rejected
+		 *
+		 * @param {HTMLElement} li the item li
+		 * @returns {void}
+		 */
+		#_updateItemState(li) {
+			const state = this.#_itemStates.get(li._item.id) || {pending: 0, error: false};
+			li.classList.toggle('pending', state.pending > 0);
+			li.classList.toggle('sync-error', state.error);
+			li.setAttribute('aria-busy', state.pending > 0);
+			if (state.error) li.setAttribute('aria-invalid', 'true');
+			else li.removeAttribute('aria-invalid');
+		}
+		
+		/**
+		 * Get the value of an item field by its path, e.g. value or data.note
+		 *
+		 * @param {object} item the item object
+		 * @param {string} path the field path
+		 * @returns {string} the field value, or an empty string if missing
+		 */
+		#_fieldValue(item, path) {
+			const value = path.split('.').reduce((obj, key) => (obj === null || obj === undefined) ? undefined : obj[key], item);
+			return value ?? '';
+		}
+		
+		/**
+		 * Update the toolbar buttons of all items
+		 *
+		 * @returns {void}
+		 */
+		#_updateToolbars() {
+			const lis = [...this.#_itemList().children].filter(li => li._item);
+			const virtual = this.hasAttribute('virtual');
+			const len = this.#_items.length;
+			lis.forEach((li, i) => {
+				// a virtual list only renders some of the items
+				const index = virtual ? this.#_liIndex(li) : i;
+				// while filtering, an item cannot move past a hidden one
+				const reorder = this.#_allows('reorder', li._item);
+				const upDisabled = index == 0 || !reorder || this.#_moveAmbiguous([index], -1);
+				const downDisabled = index == len - 1 || !reorder || this.#_moveAmbiguous([index], 1);
+				const up = li.querySelector('.editable-list-up-item');
+				const down = li.querySelector('.editable-list-down-item');
+				up.style.visibility = (upDisabled ? "hidden" : "visible");
+				up.setAttribute('aria-disabled', upDisabled);
+				down.style.visibility = (downDisabled ? "hidden" : "visible");
+				down.setAttribute('aria-disabled', downDisabled);
+				li.querySelector('.editable-list-remove-item').hidden = !this.#_allows('remove', li._item);
+				li.classList.toggle('locked', !!li._item.locked);
+				this.#_updateItemLabels(li);
+			});
+			this.shadowRoot.querySelector('.no-matches').hidden = !this.#_filter || this.#_items.some(item => this.#_matchesFilter(item.value));
+			this.#_updateEmptyState();
+			this.#_updateSelectionState();
+		}
+		
+		/**
+		 * Shows the content of the empty slot when the list has no items
+		 *
+		 * @returns {void}
+		 */
+		#_updateEmptyState() {
+			const slot = this.shadowRoot.querySelector('slot[name="empty"]');
+			slot.parentElement.hidden = this.#_items.length > 0 || slot.assignedNodes().length === 0;
+		}
+		
+		/**
+		 * Fills the elements with a data-icon attribute with their icon, from
+		 * the icons property or the default icons
+		 *
+		 * @param {HTMLElement} root the element containing the icons
+		 * @returns {void}
+		 */
+		#_applyIcons(root) {
+			root.querySelectorAll('[data-icon]').forEach(element => {
+				const icon = this.#_icons[element.dataset.icon] ?? EditableList.#_defaultIcons[element.dataset.icon] ?? '';
+				if (icon instanceof Node) element.replaceChildren(icon.cloneNode(true));
+				else element.innerHTML = icon;
+			});
+		}
+		
+		/**
+		 * Renders the custom actions of an item: the content of the
+		 * <template slot="item-actions"> child, then the registered actions
+		 *
+		 * @param {HTMLElement} li the item li
+		 * @returns {void}
+		 */
+		#_renderItemActions(li) {
+			const wrapper = li.querySelector('.item-actions');
+			const template = this.querySelector(':scope > template[slot="item-actions"]');
+			if (template) wrapper.replaceChildren(template.content.cloneNode(true));
+			else wrapper.replaceChildren();
+			this.#_itemActions.forEach(({action, label, icon}) => {
+				const button = document.createElement('button');
+				button.className = 'editable-list-item-action';
+				button.title = label;
+				button.dataset.action = action;
+				button.setAttribute('part', 'button action-button');
+				if (icon) {
+					button.classList.add('icon');
+					if (icon instanceof Node) button.replaceChildren(icon.cloneNode(true));
+					else button.innerHTML = icon;
+				} else {
+					button.textContent = label;
+				}
+				wrapper.appendChild(button);
+			});
+			// the actions are reached with the mouse, like the other buttons of the toolbar
+			wrapper.querySelectorAll('[data-action]').forEach(element => element.tabIndex = -1);
+		}
+		
+		/**
+		 * Dispatches an item-action event when a custom action of an item is
+		 * clicked
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_itemActionEvent(e) {
+			const button = e.target.closest('[data-action]');
+			if (!button) return;
+			const li = this.#_getLi(button);
+			this.dispatchEvent(new CustomEvent('item-action', {
+				bubbles: true,
+				composed: true,
+				detail: {
+					action: button.dataset.action,
+					index: this.#_liIndex(li),
+					id: li._item.id,
+					item: li._item.value
+				}
+			}));
+		}
+		
+		/**
+		 * Updates the accessible names of the toolbar buttons of an item to
+		 * include the item text
+		 *
+		 * @param {HTMLElement} li the item li
+		 * @returns {void}
+		 */
+		#_updateItemLabels(li) {
+			const val = li._item.value;
+			li.querySelector('.editable-list-up-item').setAttribute('aria-label', this.#_string('moveItemUp', {value: val}));
+			li.querySelector('.editable-list-down-item').setAttribute('aria-label', this.#_string('moveItemDown', {value: val}));
+			li.querySelector('.editable-list-remove-item').setAttribute('aria-label', this.#_string('removeItem', {value: val}));
+			li.querySelectorAll('.item-actions [data-action]').forEach(element => {
+				const label = element.title || element.textContent.trim() || element.dataset.action;
+				element.setAttribute('aria-label', this.#_string('itemAction', {label: label, value: val}));
+			});
+		}
+		
+		/**
+		 * Attaches click handlers to all items
+		 *
+		 * @param {array} lis a list of li elements of the items
+		 * @returns {void}
+		 */
+		#_handleLiListeners(lis) {
+			lis.forEach(element => {
+				element.addEventListener('click', this.#_liSelected.bind(this), false);
+			});
+		}
+		
+		/**
+		 * Attaches event handlers to the elements of each item inside the li
+		 *
+		 * @param {array} items a list of elements inside the item li
+		 * @param {array} buttons a list of buttons inside the item li
+		 * @returns {void}
+		 */
+		#_handleItemListeners(items, buttons) {
+			const isTouch = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+			items.forEach(element => {
+				element.addEventListener('dblclick', this.#_itemEdit.bind(this), false);
+				if (isTouch) {
+					element.addEventListener('touchend', this.#_attachDoubleTapHandler());
+				}
+			});
+			buttons.up.forEach(element => {
+				element.addEventListener('click',  this.#_moveUpListItemEvent.bind(this), false);
+			});
+			buttons.down.forEach(element => {
+				element.addEventListener('click', this.#_moveDownListItemEvent.bind(this), false);
+			});
+			buttons.remove.forEach(element => {
+				element.addEventListener('click', this.#_removeListItemHandler.bind(this), false);
+			});
+		}
+		
+		/**
+		 * Start editing an item; an input field will appear to edit the item
+		 * title
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_itemEdit(e) {
+			const li = this.#_getLi(e.target);
+			if (this._editing || !this.#_allows('edit', li._item)) return;
+			this._editing = true;
+			const itemWrapper = li.querySelector('.item-wrapper');
+			const inp = document.createElement('INPUT');
+			inp.className = "edit-list-item-input";
+			inp.setAttribute('part', 'input edit-input');
+			inp.value = li._item.value;
+			inp._value = li._item.value;
+			this.#_attachSuggestions(inp, li._item);
+			inp.addEventListener('blur', this.#_itemEditFinished.bind(this), false);
+			inp.addEventListener('keypress', this.#_itemEditFinished.bind(this), false);
+			inp.addEventListener('keydown', this.#_itemEditCancel.bind(this), false);
+			itemWrapper.innerHTML = "";
+			itemWrapper.appendChild(inp);
+			inp.focus();
+		}
+		
+		/**
+		 * Item editing finished
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_itemEditFinished(e) {
+			if (!this._editing) return;
+			if ((e instanceof KeyboardEvent && (e.key === "Enter" || e.key === "Escape")) || !(e instanceof KeyboardEvent)) {
+				const enterPressed = e instanceof KeyboardEvent;
+				e.preventDefault();
+				const li = this.#_getLi(e.target);
+				const itemWrapper = li.querySelector('.item-wrapper');
+				const inp = li.querySelector('.item-wrapper input');
+				const previousValue = inp._value;
+				const result = this.#_changeItem(li, inp.value, previousValue, "user");
+				this.#_showError(result.error);
+				if (enterPressed) li.focus();
+
+				if (result.differs) {
+					this.#_announce(this.#_string('changed', {previous: previousValue, value: result.val}));
+				}
+			}
+		}
+		
+		/**
+		 * Cancels item editing when Escape is pressed, restoring the previous
+		 * value
+		 *
+		 * @param {KeyboardEvent} e the caller event object
+		 * @returns {void}
+		 */
+		#_itemEditCancel(e) {
+			if (e.key !== "Escape") return;
+			e.stopPropagation();
+			e.target.value = e.target._value;
+			this.#_itemEditFinished(e);
+		}
+		
+		/**
+		 * Cancels the edit in progress, if any, restoring the previous value
+		 *
+		 * @returns {void}
+		 */
+		#_cancelEdit() {
+			const input = this.#_itemList().querySelector('.edit-list-item-input');
+			if (!input || !this._editing) return;
+			const li = this.#_getLi(input);
+			const focused = this.shadowRoot.activeElement === input;
+			this.#_hideSuggestions(input);
+			input.value = input._value;
+			this.#_changeItem(li, input._value, input._value, "user");
+			if (focused) li.focus();
+		}
+		
+		/**
+		 * Handles the keyboard navigation, editing and reordering of the
+		 * focused item
+		 *
+		 * @param {KeyboardEvent} e the caller event object
+		 * @returns {void}
+		 */
+		#_itemListKeydown(e) {
+			if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+				this.#_toolbarKeydown(e);
+				return;
+			}
+			const li = e.target;
+			if (li.tagName !== "LI" || this._editing) return;
+			const reorder = e.altKey || (e.ctrlKey && e.shiftKey);
+			const bulk = this.#_selection.size > 1 && this.#_selection.has(li._item.id);
+			switch (e.key) {
+				case "ArrowUp":
+					if (reorder && bulk) {
+						this.#_moveSelectedItemsEvent(-1, e);
+						li.focus();
+					} else if (reorder) {
+						this.#_moveUpListItemEvent(e);
+						li.focus();
+					} else {
+						this.#_selectLi(this.#_shownSibling(li, -1), e.shiftKey);
+					}
+					break;
+				case "ArrowDown":
+					if (reorder && bulk) {
+						this.#_moveSelectedItemsEvent(1, e);
+						li.focus();
+					} else if (reorder) {
+						this.#_moveDownListItemEvent(e);
+						li.focus();
+					} else {
+						this.#_selectLi(this.#_shownSibling(li, 1), e.shiftKey);
+					}
+					break;
+				case "Home":
+					this.#_selectLi(this.#_revealItem(this.#_shownItems()[0]), e.shiftKey);
+					break;
+				case "End":
+					this.#_selectLi(this.#_revealItem(this.#_shownItems().at(-1)), e.shiftKey);
+					break;
+				case " ":
+					if (this.#_selectionMode() !== 'multiple') return;
+					this.#_toggleLi(li);
+					break;
+				case "a":
+				case "A":
+					if (!(e.ctrlKey || e.metaKey) || this.#_selectionMode() !== 'multiple') return;
+					this.selectAll();
+					break;
+				case "Enter":
+				case "F2":
+					this.#_itemEdit(e);
+					break;
+				case "Delete": {
+					if (bulk) {
+						this.#_removeSelectedItemsEvent(e);
+						break;
+					}
+					const next = this.#_shownSibling(li, 1) || this.#_shownSibling(li, -1);
+					this.#_removeListItemHandler(e);
+					if (li.isConnected) break;
+					if (next) this.#_selectLi(next);
+					else this.shadowRoot.querySelector('.add-new-list-item-input').focus();
+					break;
+				}
+				default:
+					return;
+			}
+			e.preventDefault();
+		}
+		
+		/**
+		 * Moves the keyboard focus from an item to the buttons of its toolbar
+		 * and back: the arrow pointing to the end of the line (right, or left
+		 * in a right-to-left layout) moves to the next button
+		 *
+		 * @param {KeyboardEvent} e the caller event object
+		 * @returns {void}
+		 */
+		#_toolbarKeydown(e) {
+			const li = e.target.closest('.item-list > li');
+			if (!li || this._editing || e.altKey || e.ctrlKey || e.metaKey) return;
+			const buttons = [...li.querySelectorAll('.toolbar button, .toolbar [data-action]')]
+				.filter(button => button.style.visibility !== 'hidden' && getComputedStyle(button).display !== 'none');
+			const offset = (e.key === "ArrowRight") !== this.#_isRtl() ? 1 : -1;
+			const index = buttons.indexOf(e.target) + offset;
+			if (e.target === li && offset < 0) return;
+			const next = index < 0 ? li : buttons[Math.min(index, buttons.length - 1)];
+			if (next) next.focus();
+			e.preventDefault();
+		}
+		
+		/**
+		 * Attach double-tap handler on item
+		 *
+		 * @returns {function} A double-tap handler
+		 */
+		#_attachDoubleTapHandler() {
+			let lastTap = 0;
+			let timeout;
+			const detectDoubleTap = function(e) {
+				const curTime = new Date().getTime();
+				const tapLen = curTime - lastTap;
+				if (tapLen < 500 && tapLen > 0) {
+					e.preventDefault();
+					this.#_itemEdit(e);
+				}
+				else {
+					timeout = setTimeout(() => {
+						clearTimeout(timeout);
+					}, 500);
+				}
+				lastTap = curTime;
+			};
+			return detectDoubleTap.bind(this);
+		}
+		
+		/**
+		 * Attempt to change item value
+		 *
+		 * @param {HTMLElement} li the item to change the value
+		 * @param {string} newValue the new value to set
+		 * @param {string} previousValue the previous value of the item
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {object} an object containing the change results
+		 */
+		#_changeItem(li, newValue, previousValue, source) {
+			let result = {
+				val: '',
+				accepted: true,
+				differs: false,
+				error: ''
+			};
+			let val = newValue;
+			if (val.trim() === "") val = previousValue;
+			// the edit permission may have been withdrawn while the user was typing
+			if (source === "user" && !this.#_allows('edit', li._item)) {
+				val = previousValue;
+				result.accepted = false;
+			}
+			if (val !== previousValue) {
+				const detail = this.#_beforeEvent("edit", {index: this.#_liIndex(li), id: li._item.id, previous: previousValue, value: val, source: source});
+				val = detail ? String(detail.value) : previousValue;
+				result.accepted = !!detail;
+			}
+			const error = val !== previousValue ? (this.#_valueError(val, li._item) || (source === "user" ? this.#_suggestionError(val) : null)) : null;
+			if (error) {
+				val = previousValue;
+				result.accepted = false;
+				result.error = error.message;
+			}
+			this._editing = false;
+			this.#_setItemValue(li._item, val);
+			this.#_renderItem(li);
+			result.val = val;
+			result.differs = (val !== previousValue);
+			if (result.differs) {
+				const index = this.#_liIndex(li);
+				const changes = [{action: "edit", index: index, id: li._item.id, item: val, data: li._item.data, previous: previousValue, new: val, source: source}];
+				this.#_recordGroup(() => {
+					this.#_record({action: "edit", index: index, id: li._item.id, previous: previousValue, new: val});
+					// in a sorted list, the edited item moves to its new place
+					const to = this.#_sortedIndex(val, index, li._item);
+					if (to === index) return;
+					this.#_moveItem(index, to);
+					changes.push({action: "move", index: to, fromIndex: index, toIndex: to, from: index, to: to, direction: to < index ? "up" : "down", id: li._item.id, item: val, data: li._item.data, source: source});
+				});
+				this.#_itemsChanged();
+				this.#_dispatchChanges(changes);
+			}
+			
+			return result;
+		}
+
+		/**
+		 * Fires when an item is selected
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_liSelected(e) {
+			const li = this.#_getLi(e.target);
+			const multiple = this.#_selectionMode() === 'multiple';
+			if (multiple && e.shiftKey) {
+				this.#_selectRange(li);
+			} else if (multiple && (e.ctrlKey || e.metaKey)) {
+				this.#_toggleLi(li);
+			} else {
+				this.#_anchorId = li._item.id;
+				this.#_setSelection([li._item.id], li._item.id);
+			}
+		}
+		
+		/**
+		 * Selects an item and moves the keyboard focus to it
+		 *
+		 * @param {HTMLElement} li the item li to select, ignored if null
+		 * @param {bool} extend true to select the range of items from the
+		 *                      last selected item, in multiple selection mode
+		 * @returns {void}
+		 */
+		#_selectLi(li, extend) {
+			if (!li) return;
+			if (extend && this.#_selectionMode() === 'multiple') {
+				this.#_selectRange(li);
+			} else {
+				this.#_anchorId = li._item.id;
+				this.#_setSelection([li._item.id], li._item.id);
+			}
+			li.focus();
+		}
+		
+		/**
+		 * Adds an item to the selection, or removes it if it is selected
+		 *
+		 * @param {HTMLElement} li the item li
+		 * @returns {void}
+		 */
+		#_toggleLi(li) {
+			const id = li._item.id;
+			const ids = new Set(this.#_selection);
+			if (ids.has(id)) ids.delete(id);
+			else ids.add(id);
+			this.#_anchorId = id;
+			this.#_setSelection([...ids], id);
+		}
+		
+		/**
+		 * Selects the items between the last selected item and an item
+		 *
+		 * @param {HTMLElement} li the item li ending the range
+		 * @returns {void}
+		 */
+		#_selectRange(li) {
+			const index = this.#_liIndex(li);
+			const anchor = this.indexOf(this.#_anchorId);
+			const from = Math.min(anchor < 0 ? index : anchor, index);
+			const to = Math.max(anchor, index);
+			const range = this.#_items.slice(from, to + 1).filter(item => this.#_matchesFilter(item.value));
+			this.#_setSelection(range.map(item => item.id), li._item.id);
+		}
+		
+		/**
+		 * Get the value of the selection-mode attribute
+		 *
+		 * @returns {string} none, single or multiple
+		 */
+		#_selectionMode() {
+			const mode = this.getAttribute('selection-mode');
+			return (mode === 'none' || mode === 'multiple') ? mode : 'single';
+		}
+		
+		/**
+		 * Applies the selection mode to the list and to the current selection
+		 *
+		 * @returns {void}
+		 */
+		#_updateSelectionMode() {
+			const mode = this.#_selectionMode();
+			this.shadowRoot.querySelector('.editable-list').classList.toggle('selection-none', mode === 'none');
+			this.#_itemList().setAttribute('aria-multiselectable', mode === 'multiple');
+			this.#_setSelection([...this.#_selection]);
+		}
+		
+		/**
+		 * Replaces the selected items, keeping as many as the selection mode
+		 * allows, and fires the selectionchange event if they changed
+		 *
+		 * @param {array} ids the ids of the items to select
+		 * @param {string} activeId the id of the item reachable with the Tab
+		 *                          key, unchanged if undefined
+		 * @returns {void}
+		 */
+		#_setSelection(ids, activeId) {
+			const mode = this.#_selectionMode();
+			const selection = new Set(mode === 'none' ? [] : (mode === 'single' ? ids.slice(-1) : ids));
+			const changed = selection.size !== this.#_selection.size || [...selection].some(id => !this.#_selection.has(id));
+			this.#_selection = selection;
+			if (activeId !== undefined) this.#_activeId = activeId;
+			this.#_updateSelectionState();
+			if (changed) this.#_selectionChanged();
+		}
+		
+		/**
+		 * Fires the selectionchange event
+		 *
+		 * @returns {void}
+		 */
+		#_selectionChanged() {
+			const indices = this.selectedIndices;
+			this.dispatchEvent(new CustomEvent("selectionchange", {
+				bubbles: true,
+				cancelable: false,
+				composed: true,
+				detail: {indices: indices, ids: indices.map(index => this.#_items[index].id)}
+			}));
+		}
+		
+		/**
+		 * Syncs the selected class and aria-selected with the selection, drops
+		 * removed items from it and makes the active item, or the first one
+		 * if there is none, the only item reachable with the Tab key
+		 *
+		 * @returns {void}
+		 */
+		#_updateSelectionState() {
+			const ids = new Set(this.#_items.map(item => item.id));
+			const removed = [...this.#_selection].filter(id => !ids.has(id));
+			removed.forEach(id => this.#_selection.delete(id));
+			
+			const lis = [...this.#_itemList().children].filter(li => li._item);
+			const shown = lis.filter(li => !li.hidden);
+			const active = shown.find(li => li._item.id === this.#_activeId) || shown.find(li => this.#_selection.has(li._item.id)) || shown[0];
+			lis.forEach(li => {
+				const selected = this.#_selection.has(li._item.id);
+				li.classList.toggle("selected", selected);
+				li.tabIndex = (li === active ? 0 : -1);
+				li.setAttribute('aria-selected', selected);
+				li.setAttribute('part', selected ? 'item selected' : 'item');
+			});
+			this.#_updateSelectionToolbar();
+			if (removed.length > 0) this.#_selectionChanged();
+		}
+		
+		/**
+		 * Shows the selection toolbar when several items are selected and
+		 * hides the buttons that cannot move the selected items
+		 *
+		 * @returns {void}
+		 */
+		#_updateSelectionToolbar() {
+			const count = this.#_selection.size;
+			const toolbar = this.shadowRoot.querySelector('.selection-toolbar');
+			toolbar.hidden = count < 2;
+			this.shadowRoot.querySelector('.editable-list').classList.toggle('multiple-selected', count > 1);
+			if (count < 2) return;
+			
+			const indices = this.selectedIndices;
+			const items = indices.map(index => this.#_items[index]);
+			const up = toolbar.querySelector('.editable-list-up-selected');
+			const down = toolbar.querySelector('.editable-list-down-selected');
+			const reorder = items.every(item => this.#_allows('reorder', item));
+			const upDisabled = indices[0] === 0 || !reorder || this.#_moveAmbiguous(indices, -1);
+			const downDisabled = indices[count - 1] === this.#_items.length - 1 || !reorder || this.#_moveAmbiguous(indices, 1);
+			toolbar.querySelector('.editable-list-remove-selected').hidden = !items.some(item => this.#_allows('remove', item));
+			toolbar.querySelector('.selection-count').textContent = this.#_string('selectedCount', {count: count});
+			up.style.visibility = (upDisabled ? "hidden" : "visible");
+			up.setAttribute('aria-disabled', upDisabled);
+			down.style.visibility = (downDisabled ? "hidden" : "visible");
+			down.setAttribute('aria-disabled', downDisabled);
+		}
+		
+		/**
+		 * Fires when the selected items are removed
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_removeSelectedItemsEvent(e) {
+			e.stopPropagation();
+			const index = this.selectedIndices[0];
+			const count = this.#_removeSelectedItems("user");
+			if (count === 0) return;
+			
+			this.#_announce(this.#_string('removedCount', {count: count}));
+			const next = this.#_revealItem(this.#_items[Math.min(index, this.#_items.length - 1)]);
+			if (next) this.#_selectLi(next);
+			else this.shadowRoot.querySelector('.add-new-list-item-input').focus();
+		}
+		
+		/**
+		 * Fires when the selected items are moved up or down
+		 *
+		 * @param {integer} offset -1 to move the items up, 1 to move them down
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_moveSelectedItemsEvent(offset, e) {
+			e.stopPropagation();
+			if (this.#_moveAmbiguous(this.selectedIndices, offset) || !this.#_moveSelectedItems(offset, "user")) return;
+			
+			this.#_announce(this.#_string(offset < 0 ? 'movedUpCount' : 'movedDownCount', {count: this.#_selection.size}));
+		}
+		
+		/**
+		 * Fires when an item is removed
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_removeListItemHandler(e) {
+			e.stopPropagation();
+			const li = this.#_getLi(e.target);
+			if (!this.#_removeItem(li, "user")) return;
+			
+			this.#_announce(this.#_string('removed', {value: li._item.value}));
+		}
+		
+		/**
+		 * Fires when an item is moved up
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_moveUpListItemEvent(e) {
+			e.stopPropagation();
+			const li = this.#_getLi(e.target);
+			if (this.#_moveAmbiguous([this.#_liIndex(li)], -1) || !this.#_moveUpListItem(li, "user")) return;
+			
+			this.#_announceMove(li, li._item.value);
+		}
+		
+		/**
+		 * Fires when an item is moved down
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_moveDownListItemEvent(e) {
+			e.stopPropagation();
+			const li = this.#_getLi(e.target);
+			if (this.#_moveAmbiguous([this.#_liIndex(li)], 1) || !this.#_moveDownListItem(li, "user")) return;
+			
+			this.#_announceMove(li, li._item.value);
+		}
+		
+		/**
+		 * Announces the new position of a moved item
+		 *
+		 * @param {HTMLElement} li the moved item li
+		 * @param {string} val the item value
+		 * @returns {void}
+		 */
+		#_announceMove(li, val) {
+			this.#_announce(this.#_string('moved', {value: val, position: this.#_liIndex(li) + 1, count: this.#_items.length}));
+		}
+		
+		/**
+		 * Starts dragging an item by its drag handle
+		 *
+		 * @param {PointerEvent} e the caller event object
+		 * @returns {void}
+		 */
+		#_dragStart(e) {
+			const handle = e.target.closest('.drag-handle');
+			if (!handle || e.button !== 0 || this._editing || this.#_drag || this.#_filter || this.hasAttribute('sorted') || this.hasAttribute('virtual')) return;
+			const li = this.#_getLi(handle);
+			if (!this.#_allows('reorder', li._item)) return;
+			e.preventDefault();
+			const rect = li.getBoundingClientRect();
+			const placeholder = document.createElement('li');
+			placeholder.className = 'drop-placeholder';
+			placeholder.style.height = `${rect.height}px`;
+			li.after(placeholder);
+			li.classList.add('dragging');
+			li.style.left = `${rect.left}px`;
+			li.style.top = `${rect.top}px`;
+			li.style.width = `${rect.width}px`;
+			handle.setPointerCapture(e.pointerId);
+			this.#_drag = {
+				li: li,
+				placeholder: placeholder,
+				pointerId: e.pointerId,
+				from: this.#_liIndex(li),
+				target: this,
+				offsetX: e.clientX - rect.left,
+				offsetY: e.clientY - rect.top,
+				clientX: e.clientX,
+				clientY: e.clientY,
+				scrollFrame: null
+			};
+			this.#_selectLi(li);
+			this.#_autoScroll();
+		}
+		
+		/**
+		 * Moves the dragged item along with the pointer
+		 *
+		 * @param {PointerEvent} e the caller event object
+		 * @returns {void}
+		 */
+		#_dragMove(e) {
+			const drag = this.#_drag;
+			if (!drag || e.pointerId !== drag.pointerId) return;
+			drag.clientX = e.clientX;
+			drag.clientY = e.clientY;
+			drag.li.style.left = `${e.clientX - drag.offsetX}px`;
+			drag.li.style.top = `${e.clientY - drag.offsetY}px`;
+			drag.target = this.#_dropTarget(drag);
+			drag.target.#_placeDropPlaceholder(drag);
+		}
+		
+		/**
+		 * Drops the dragged item at the placeholder position, or puts it back
+		 * if the drag was cancelled
+		 *
+		 * @param {PointerEvent} e the caller event object
+		 * @returns {void}
+		 */
+		#_dragEnd(e) {
+			const drag = this.#_drag;
+			if (!drag || e.pointerId !== drag.pointerId) return;
+			this.#_drag = null;
+			cancelAnimationFrame(drag.scrollFrame);
+			const li = drag.li;
+			li.classList.remove('dragging');
+			li.style.left = li.style.top = li.style.width = '';
+			if (e.type === 'pointercancel') {
+				drag.placeholder.remove();
+				return;
+			}
+			if (drag.target !== this) {
+				this.#_transferItem(drag);
+				return;
+			}
+			const dropIndex = [...this.#_itemList().children].indexOf(drag.placeholder);
+			drag.placeholder.remove();
+			const to = (dropIndex > drag.from ? dropIndex - 1 : dropIndex);
+			const moved = to !== drag.from && this.#_reorderItem(drag.from, to, "user");
+			li.focus();
+			if (!moved) return;
+			
+			this.#_announceMove(li, li._item.value);
+		}
+		
+		/**
+		 * Moves a dragged item to another list of the group, or copies it if
+		 * the pull attribute is copy
+		 *
+		 * @param {object} drag the state of the finished drag
+		 * @returns {void}
+		 */
+		#_transferItem(drag) {
+			const target = drag.target;
+			const li = drag.li;
+			const item = li._item;
+			const val = item.value;
+			let index = [...target.#_itemList().children].indexOf(drag.placeholder);
+			drag.placeholder.remove();
+			const copy = this.#_pullMode() === 'copy';
+			const newItem = target.#_newItem(copy ? {value: val, data: item.data} : item);
+			const detail = target.#_beforeEvent("add", {index: index, id: newItem.id, value: val, source: "user"});
+			if (!detail || (!copy && !this.#_beforeEvent("remove", {index: drag.from, id: item.id, value: val, source: "user"}))) {
+				li.focus();
+				return;
+			}
+			newItem.value = String(detail.value);
+			const error = target.#_itemCountError(1) || target.#_valueError(newItem.value, null);
+			if (error) {
+				target.#_showError(error.message);
+				li.focus();
+				return;
+			}
+			index = target.#_sortedIndex(newItem.value, index, null);
+			
+			const newLi = target.#_insertItem(newItem, index);
+			if (!copy) this.#_removeListItem(li);
+			target.#_selectLi(newLi);
+			
+			this.#_dispatchChanges([{action: "transfer-out", index: drag.from, id: item.id, item: val, data: item.data, copy: copy, targetList: target, target: target, source: "user"}]);
+			target.#_dispatchChanges([{action: "transfer-in", index: index, id: newItem.id, item: newItem.value, data: newItem.data, copy: copy, sourceList: this, source: "user"}]);
+			target.#_announceMove(newLi, newItem.value);
+		}
+		
+		/**
+		 * Get the list of the group under the pointer that accepts the
+		 * dragged item, or this list if there is none
+		 *
+		 * @param {object} drag the state of the current drag
+		 * @returns {EditableList} the list to drop the item into
+		 */
+		#_dropTarget(drag) {
+			const group = this.getAttribute('group');
+			if (!group || this.#_pullMode() === 'reject') return this;
+			// moving an item out of the list removes it
+			if (this.#_pullMode() === 'move' && !this.#_allows('remove', drag.li._item)) return this;
+			for (const list of EditableList.#_instances) {
+				if (list === this || list.getAttribute('group') !== group) continue;
+				if (list.getAttribute('accept') === 'false' || list.#_formDisabled || list.hasAttribute('disabled') || list.hasAttribute('virtual') || !list.#_allows('add', null)) continue;
+				const rect = list.shadowRoot.querySelector('.editable-list').getBoundingClientRect();
+				if (drag.clientX >= rect.left && drag.clientX <= rect.right && drag.clientY >= rect.top && drag.clientY <= rect.bottom) {
+					return list;
+				}
+			}
+			return this;
+		}
+		
+		/**
+		 * Get the value of the pull attribute
+		 *
+		 * @returns {string} move, copy or reject
+		 */
+		#_pullMode() {
+			const pull = this.getAttribute('pull');
+			return (pull === 'copy' || pull === 'reject') ? pull : 'move';
+		}
+		
+		/**
+		 * Moves the drop placeholder before the first item below the pointer
+		 *
+		 * @param {object} drag the state of the current drag
+		 * @returns {void}
+		 */
+		#_placeDropPlaceholder(drag) {
+			const {li, placeholder, clientY} = drag;
+			const target = [...this.#_itemList().children].find(element => {
+				if (element === li || element === placeholder) return false;
+				const rect = element.getBoundingClientRect();
+				return clientY < rect.top + rect.height / 2;
+			}) || null;
+			let next = placeholder.nextElementSibling;
+			if (next === li) next = next.nextElementSibling;
+			if (next !== target) this.#_itemList().insertBefore(placeholder, target);
+		}
+		
+		/**
+		 * Scrolls the list while an item is dragged near its top or bottom
+		 * edge
+		 *
+		 * @returns {void}
+		 */
+		#_autoScroll() {
+			const drag = this.#_drag;
+			if (!drag) return;
+			const list = drag.target.#_itemList();
+			const rect = list.getBoundingClientRect();
+			const edge = 24;
+			let delta = 0;
+			if (drag.clientY < rect.top + edge) delta = -8;
+			else if (drag.clientY > rect.bottom - edge) delta = 8;
+			if (delta !== 0 && list.scrollHeight > list.clientHeight) {
+				list.scrollTop += delta;
+				drag.target.#_placeDropPlaceholder(drag);
+			}
+			drag.scrollFrame = requestAnimationFrame(this.#_autoScroll.bind(this));
+		}
+		
+		/**
+		 * Unselect all items
+		 *
+		 * @param {Event} e the caller event object
+		 * @returns {void}
+		 */
+		#_cleanSelection(e) {
+			this.#_setSelection([]);
+		}
+		
+		/**
+		 * Move an item up
+		 *
+		 * @param {HTMLElement} li the item li to move
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {bool} true if succeeded, false otherwise
+		 */
+		#_moveUpListItem(li, source) {
+			const index = this.#_liIndex(li);
+			if (index <= 0) return false;
+			return this.#_reorderItem(index, index - 1, source);
+		}
+
+		/**
+		 * Move an item down
+		 *
+		 * @param {HTMLElement} li the item li to move
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {bool} true if succeeded, false otherwise
+		 */
+		#_moveDownListItem(li, source) {
+			const index = this.#_liIndex(li);
+			if (index < 0 || index >= this.#_items.length - 1) return false;
+			return this.#_reorderItem(index, index + 1, source);
+		}
+		
+		/**
+		 * Changes the value and/or data of an item
+		 *
+		 * @param {HTMLElement} li the item li
+		 * @param {object} patch an object with the new value and/or data
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {bool} true if the item was changed, false otherwise
+		 */
+		#_updateItem(li, patch, source) {
+			if (this._editing) return false;
+			if ('locked' in patch) {
+				if (patch.locked) li._item.locked = true;
+				else delete li._item.locked;
+				this.#_updateToolbars();
+				this.#_itemsChanged();
+			}
+			if (('value' in patch || 'data' in patch) && !this.#_allows('edit', li._item)) return false;
+			if ('value' in patch) {
+				this._editing = true;
+				if (!this.#_changeItem(li, String(patch.value), li._item.value, source).accepted) return false;
+			}
+			if ('data' in patch) {
+				const previous = li._item.data;
+				li._item.data = patch.data;
+				this.#_itemsChanged();
+				this.#_sync({action: "data", index: this.#_liIndex(li), id: li._item.id, previous: previous, new: patch.data});
+			}
+			return true;
+		}
+		
+		/**
+		 * Moves an item to another index, unless a before-move listener
+		 * prevents it, and fires the change event
+		 *
+		 * @param {integer} from the current index of the item
+		 * @param {integer} to the new index of the item
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {bool} true if the item was moved, false otherwise
+		 */
+		#_reorderItem(from, to, source) {
+			const item = this.#_items[from];
+			if (this.hasAttribute('sorted') || !this.#_allows('reorder', item)) return false;
+			if (!this.#_beforeEvent("move", {fromIndex: from, toIndex: to, id: item.id, value: item.value, source: source})) return false;
+			
+			this.#_moveItem(from, to);
+			this.#_dispatchChanges([{action: "move", index: to, fromIndex: from, toIndex: to, from: from, to: to, direction: to < from ? "up" : "down", id: item.id, item: item.value, data: item.data, source: source}]);
+			return true;
+		}
+		
+		/**
+		 * Moves an item to another index
+		 *
+		 * @param {integer} from the current index of the item
+		 * @param {integer} to the new index of the item
+		 * @returns {void}
+		 */
+		#_moveItem(from, to) {
+			const item = this.#_items[from];
+			this.#_items.splice(to, 0, ...this.#_items.splice(from, 1));
+			if (this.hasAttribute('virtual')) {
+				this.#_scheduleRender();
+			} else {
+				const li = this.#_liFor(item);
+				li.remove();
+				this.#_itemList().insertBefore(li, this.#_getLiAtIndex(to + 1));
+			}
+			this.#_record({action: "move", from: from, to: to});
+			this.#_updateToolbars();
+			this.#_itemsChanged();
+		}
+		
+		/**
+		 * Puts all the items in a new order at once, recorded as a single
+		 * reorder operation
+		 *
+		 * @param {array} order the previous indices of the items, in their
+		 *                      new order
+		 * @returns {void}
+		 */
+		#_applyOrder(order) {
+			this.#_items = order.map(index => this.#_items[index]);
+			if (this.hasAttribute('virtual')) {
+				this.#_scheduleRender();
+			} else {
+				this.#_itemList().append(...this.#_items.map(item => this.#_liFor(item)));
+			}
+			this.#_record({action: "reorder", order: order});
+			this.#_updateToolbars();
+			this.#_itemsChanged();
+		}
+		
+		/**
+		 * Get the single moves that put the items in a new order one after
+		 * the other, for the data sources that only store moves
+		 *
+		 * @param {array} order the previous indices of the items, in their
+		 *                      new order
+		 * @returns {array} the move operations
+		 */
+		static #_orderMoves(order) {
+			const indices = order.map((from, to) => to);
+			const moves = [];
+			order.forEach((index, to) => {
+				const from = indices.indexOf(index, to);
+				if (from === to) return;
+				indices.splice(to, 0, ...indices.splice(from, 1));
+				moves.push({action: "move", from: from, to: to});
+			});
+			return moves;
+		}
+
+		/**
+		 * Removes an item, unless a before-remove listener prevents it, and
+		 * fires the change event
+		 *
+		 * @param {HTMLElement} li the item li to remove
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {bool} true if the item was removed, false otherwise
+		 */
+		#_removeItem(li, source) {
+			const index = this.#_liIndex(li);
+			const item = li._item;
+			if (!this.#_allows('remove', item)) return false;
+			if (!this.#_beforeEvent("remove", {index: index, id: item.id, value: item.value, source: source})) return false;
+			
+			this.#_removeListItem(li);
+			this.#_dispatchChanges([{action: "remove", index: index, id: item.id, item: item.value, data: item.data, previous: item.value, new: null, source: source}]);
+			return true;
+		}
+		
+		/**
+		 * Adds items at the end of the list, skipping the invalid ones and
+		 * those prevented by a before-add listener, and fires a change event
+		 * for every added item
+		 *
+		 * @param {array} listItems an array of item values or item objects
+		 * @param {string} source user or api, the origin of the change
+		 * @param {bool} force true to skip the permissions and the before-add
+		 *                     event, when all the items are replaced
+		 * @returns {array} for every item, an object with the added item, or
+		 *                  null and the error message if it was rejected
+		 */
+		#_addItems(listItems, source, force = false) {
+			if (!force && !this.#_allows('add', null)) return listItems.map(() => ({item: null, error: ''}));
+			const results = [];
+			const changes = [];
+			this.#_recordGroup(() => {
+				listItems.forEach(listItem => {
+					const item = this.#_newItem(listItem);
+					let index = this.#_sortedIndex(item.value, this.#_items.length, null);
+					const detail = force ? {value: item.value} : this.#_beforeEvent("add", {index: index, id: item.id, value: item.value, source: source});
+					if (!detail) {
+						results.push({item: null, error: ''});
+						return;
+					}
+					item.value = String(detail.value);
+					const error = this.#_itemCountError(1) || this.#_valueError(item.value, null) || (source === "user" ? this.#_suggestionError(item.value) : null);
+					if (error) {
+						results.push({item: null, error: error.message});
+						return;
+					}
+					index = this.#_sortedIndex(item.value, index, null);
+					this.#_insertLi(item, index);
+					this.#_record({action: "add", index: index, item: item.value, id: item.id, data: item.data});
+					results.push({item: item, error: ''});
+					changes.push({action: "add", index: index, id: item.id, item: item.value, data: item.data, previous: null, new: item.value, source: source});
+				});
+			});
+			this.#_updateToolbars();
+			this.#_itemsChanged();
+			this.#_dispatchChanges(changes);
+			return results;
+		}
+		
+		/**
+		 * Splits a text into trimmed item values, dropping the blank ones
+		 *
+		 * @param {string} text the text to split
+		 * @param {string} splitOn the delimiters, like the split-on attribute,
+		 *                         which is used if missing
+		 * @returns {array} the item values
+		 */
+		#_splitText(text, splitOn) {
+			const delimiters = {newline: /\r\n|\r|\n/, tab: /\t/, comma: /,/, semicolon: /;/};
+			const names = (splitOn || this.getAttribute('split-on') || 'newline').split(/[\s,]+/).filter(name => delimiters[name]);
+			const pattern = new RegExp((names.length > 0 ? names : ['newline']).map(name => delimiters[name].source).join('|'));
+			return text.split(pattern).map(value => value.trim()).filter(value => value !== '');
+		}
+		
+		/**
+		 * Splits a text into items and adds them, skipping duplicates
+		 *
+		 * @param {string} text the text to import
+		 * @param {object} options the splitOn delimiters, skipDuplicates
+		 *                         (true by default) and preview, which only
+		 *                         counts the items that would be added
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {object} the number of items added, skipped as duplicates
+		 *                   and rejected
+		 */
+		#_importText(text, options, source) {
+			const {splitOn, skipDuplicates = true, preview = false} = options || {};
+			const summary = {added: 0, duplicates: 0, rejected: 0};
+			const values = [];
+			const seen = new Set(this.items());
+			this.#_splitText(String(text), splitOn).forEach(value => {
+				if (skipDuplicates && seen.has(value)) {
+					summary.duplicates++;
+					return;
+				}
+				seen.add(value);
+				values.push(value);
+			});
+			
+			if (preview) {
+				values.forEach(value => {
+					if (!this.#_allows('add', null) || this.#_itemCountError(summary.added + 1) || this.#_valueError(value, null)) summary.rejected++;
+					else summary.added++;
+				});
+				return summary;
+			}
+			
+			this.#_addItems(values, source).forEach(result => {
+				if (result.item) summary.added++;
+				else summary.rejected++;
+			});
+			return summary;
+		}
+		
+		/**
+		 * Removes the items at a list of indices as a single change in
+		 * history, except those a before-remove listener keeps
+		 *
+		 * @param {array} indices the indices of the items, in ascending order
+		 * @param {string} source user or api, the origin of the change
+		 * @param {bool} force true to skip the permissions and the
+		 *                     before-remove event, when all the items are
+		 *                     replaced
+		 * @returns {array} the index and item object of every removed item,
+		 *                  in descending order of index
+		 */
+		#_removeIndices(indices, source, force = false) {
+			const removed = [];
+			this.#_recordGroup(() => {
+				[...indices].reverse().forEach(index => {
+					const item = this.#_items[index];
+					if (!force && !this.#_allows('remove', item)) return;
+					if (!force && !this.#_beforeEvent("remove", {index: index, id: item.id, value: item.value, source: source})) return;
+					this.#_record({action: "remove", index: index, item: item.value, id: item.id, data: item.data});
+					const li = this.#_lis.get(item);
+					if (li) li.remove();
+					this.#_items.splice(index, 1);
+					this.#_countValue(item.value, -1);
+					removed.push({index: index, item: item});
+				});
+			});
+			this.#_scheduleRender();
+			this.#_updateToolbars();
+			this.#_itemsChanged();
+			return removed;
+		}
+		
+		/**
+		 * Removes all items, except those a before-remove listener keeps, and
+		 * fires a change event for every removed item
+		 *
+		 * @param {string} source user or api, the origin of the change
+		 * @param {bool} force true to skip the permissions and the
+		 *                     before-remove event, when all the items are
+		 *                     replaced
+		 * @returns {void}
+		 */
+		#_removeAllItems(source, force = false) {
+			const removed = this.#_removeIndices(this.#_items.map((item, index) => index), source, force);
+			this.#_dispatchChanges(removed.map(({index, item}) => ({action: "remove", index: index, id: item.id, item: item.value, data: item.data, previous: item.value, new: null, source: source})));
+		}
+		
+		/**
+		 * Removes the selected items, except those a before-remove listener
+		 * keeps, and fires a single change event for all of them
+		 *
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {integer} the number of removed items
+		 */
+		#_removeSelectedItems(source) {
+			const removed = this.#_removeIndices(this.selectedIndices, source).reverse();
+			if (removed.length === 0) return 0;
+			
+			this.#_dispatchChanges([{
+				action: "remove",
+				bulk: true,
+				indices: removed.map(({index}) => index),
+				ids: removed.map(({item}) => item.id),
+				values: removed.map(({item}) => item.value),
+				source: source
+			}]);
+			return removed.length;
+		}
+		
+		/**
+		 * Moves the selected items up or down by one position as a single
+		 * change, unless a before-move listener prevents it, and fires a
+		 * single change event for all of them
+		 *
+		 * @param {integer} offset -1 to move the items up, 1 to move them down
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {bool} true if the items were moved, false otherwise
+		 */
+		#_moveSelectedItems(offset, source) {
+			const from = this.selectedIndices;
+			if (this.hasAttribute('sorted') || from.length === 0 || from[0] + offset < 0 || from[from.length - 1] + offset >= this.#_items.length) return false;
+			
+			const items = from.map(index => this.#_items[index]);
+			const to = from.map(index => index + offset);
+			if (items.some(item => !this.#_allows('reorder', item))) return false;
+			if (items.some((item, i) => !this.#_beforeEvent("move", {fromIndex: from[i], toIndex: to[i], id: item.id, value: item.value, source: source}))) return false;
+			
+			this.#_recordGroup(() => {
+				(offset < 0 ? from : [...from].reverse()).forEach(index => this.#_moveItem(index, index + offset));
+			});
+			this.#_dispatchChanges([{
+				action: "move",
+				bulk: true,
+				fromIndices: from,
+				toIndices: to,
+				ids: items.map(item => item.id),
+				values: items.map(item => item.value),
+				source: source
+			}]);
+			return true;
+		}
+		
+		/**
+		 * Undoes the last change
+		 *
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {bool} true if a change was undone, false otherwise
+		 */
+		#_undo(source) {
+			if (!this.canUndo || this._editing) return false;
+			const inverse = this.#_undoOperations();
+			const operations = this.#_undoStack.pop();
+			this.#_replay(inverse);
+			this.#_redoStack.push(operations);
+			this.#_dispatchChanges([{action: "undo", operations: inverse, source: source}]);
+			return true;
+		}
+		
+		/**
+		 * Redoes the last undone change
+		 *
+		 * @param {string} source user or api, the origin of the change
+		 * @returns {bool} true if a change was redone, false otherwise
+		 */
+		#_redo(source) {
+			if (!this.canRedo || this._editing) return false;
+			const operations = this.#_redoStack.pop();
+			this.#_replay(operations);
+			this.#_undoStack.push(operations);
+			this.#_dispatchChanges([{action: "redo", operations: operations, source: source}]);
+			return true;
+		}
+		
+		/**
+		 * Get the operations that undo the last change
+		 *
+		 * @returns {array} the inverse operations, in the order to perform
+		 */
+		#_undoOperations() {
+			return this.#_undoStack.at(-1).map(EditableList.#_inverseOperation).reverse();
+		}
+		
+		/**
+		 * Checks if the readonly and no-* attributes and the locked items
+		 * allow undoing or redoing a change; the moves of a sorted list only
+		 * follow edits, and its order cannot be replayed
+		 *
+		 * @param {array} operations the operations to replay
+		 * @returns {bool} true if the operations are allowed
+		 */
+		#_allowsReplay(operations) {
+			const actions = {add: 'add', remove: 'remove', edit: 'edit', data: 'edit', move: 'reorder'};
+			return operations.every(operation => {
+				// replaying a new order would leave a sorted list out of order
+				if (operation.action === 'reorder' && this.hasAttribute('sorted')) return false;
+				if (operation.action === 'move' && this.hasAttribute('sorted')) return true;
+				if (operation.action === 'reorder') return operation.order.every((from, to) => from === to || this.#_allows('reorder', this.#_items[from]));
+				const item = operation.action === 'move' ? this.#_items[operation.from] : this.#_items.find(item => item.id === operation.id);
+				return this.#_allows(actions[operation.action], operation.action === 'add' ? null : item);
+			});
+		}
+		
+		/**
+		 * Removes an item
+		 *
+		 * @param {HTMLElement} li the item li to remove
+		 * @returns {void}
+		 */
+		#_removeListItem(li) {
+			const index = this.#_liIndex(li);
+			const item = li._item;
+			this.#_record({action: "remove", index: index, item: item.value, id: item.id, data: item.data});
+			li.remove();
+			this.#_items.splice(index, 1);
+			this.#_countValue(item.value, -1);
+			this.#_scheduleRender();
+			this.#_updateToolbars();
+			this.#_itemsChanged();
+		}
+
+		/**
+		 * Loads the items of the data source, if any, replacing the current
+		 * ones without sending them back to the source
+		 *
+		 * @returns {Promise} resolves once the items are loaded
+		 */
+		async #_loadSource() {
+			const source = this.#_source;
+			// the items are loaded on the first connection, once the list is rendered
+			if (!source || typeof source.load !== 'function' || !this.isConnected || !this.shadowRoot) return;
+			
+			const container = this.shadowRoot.querySelector('.editable-list');
+			container.classList.add('loading');
+			this.#_itemList().setAttribute('aria-busy', 'true');
+			try {
+				const listItems = await source.load();
+				if (source !== this.#_source) return;
+				this.#_replaying = true;
+				try {
+					this.#_replaceItems(Array.isArray(listItems) ? listItems : []);
+				} finally {
+					this.#_replaying = false;
+				}
+				this.#_undoStack = [];
+				this.#_redoStack = [];
+				this.#_itemStates.clear();
+			} catch (error) {
+				this.#_sourceError(error, "load", null);
+			} finally {
+				container.classList.remove('loading');
+				this.#_itemList().setAttribute('aria-busy', 'false');
+			}
+		}
+		
+		/**
+		 * Sends a change to the data source, marking the item as pending
+		 * until the source confirms it, or rolling the change back if the
+		 * source rejects it
+		 *
+		 * @param {object} operation the operation details
+		 * @returns {void}
+		 */
+		#_sync(operation) {
+			const source = this.#_source;
+			if (!source) return;
+			
+			const index = this.indexOf(operation.id);
+			const current = index >= 0 ? {...this.#_items[index]} : null;
+			let call;
+			switch (operation.action) {
+				case "add":
+					call = ['add', {id: operation.id, value: operation.item, data: operation.data}, operation.index];
+					break;
+				case "remove":
+					call = ['remove', {id: operation.id, value: operation.item, data: operation.data}, operation.index];
+					break;
+				case "edit":
+					call = ['update', current, {...current, value: operation.previous}];
+					break;
+				case "data":
+					call = ['update', current, {...current, data: operation.previous}];
+					break;
+				case "move": {
+					const item = {...this.#_items[operation.to]};
+					operation = {...operation, id: item.id};
+					call = ['move', item, operation.from, operation.to];
+					break;
+				}
+				case "reorder":
+					if (typeof source.reorder !== 'function') {
+						EditableList.#_orderMoves(operation.order).forEach(move => this.#_sync(move));
+						return;
+					}
+					operation = {...operation, ids: this.#_items.map(item => item.id)};
+					call = ['reorder', this.#_items.map(item => ({...item}))];
+					break;
+			}
+			const [method, ...args] = call;
+			if (typeof source[method] !== 'function' || !args[0]) return;
+			
+			// a new order is pending for the list as a whole, not for an item
+			const id = operation.id;
+			if (id !== undefined) this.#_setItemState(id, 1, false);
+			new Promise(resolve => resolve(source[method](...args))).then(result => {
+				if (id !== undefined) this.#_setItemState(id, -1, false);
+				if (method === 'add' && result && typeof result === 'object' && result.id !== undefined && result.id !== id) {
+					this.#_changeItemId(id, result.id);
+				}
+			}, error => {
+				if (id !== undefined) this.#_setItemState(id, -1, true);
+				this.#_rollback(operation);
+				if (id !== undefined && this.indexOf(id) < 0) this.#_itemStates.delete(id);
+				this.#_sourceError(error, method, operation);
+			});
+		}
+		
+		/**
+		 * Updates the number of pending changes and the error state of an
+		 * item
+		 *
+		 * @param {string} id the item id
+		 * @param {integer} pending 1 for a new pending change, -1 for a
+		 *                          settled one
+		 * @param {bool} error true if the source rejected the change
+		 * @returns {void}
+		 */
+		#_setItemState(id, pending, error) {
+			const state = this.#_itemStates.get(id) || {pending: 0, error: false};
+			state.pending += pending;
+			state.error = error;
+			if (state.pending > 0 || state.error) this.#_itemStates.set(id, state);
+			else this.#_itemStates.delete(id);
+			
+			const li = this.#_getLiAtIndex(this.indexOf(id));
+			if (li) this.#_updateItemState(li);
+		}
+		
+		/**
+		 * Replaces the id of an item with the id the data source gave it
+		 *
+		 * @param {string} id the current id
+		 * @param {string} newId the id given by the data source
+		 * @returns {void}
+		 */
+		#_changeItemId(id, newId) {
+			const item = this.#_items.find(item => item.id === id);
+			if (!item || this.indexOf(newId) >= 0) return;
+			item.id = newId;
+			[...this.#_undoStack, ...this.#_redoStack].flat().forEach(operation => {
+				if (operation.id === id) operation.id = newId;
+			});
+			if (this.#_selection.delete(id)) this.#_selection.add(newId);
+			if (this.#_activeId === id) this.#_activeId = newId;
+			if (this.#_anchorId === id) this.#_anchorId = newId;
+			if (this.#_itemStates.has(id)) {
+				this.#_itemStates.set(newId, this.#_itemStates.get(id));
+				this.#_itemStates.delete(id);
+			}
+			this.#_itemsChanged();
+		}
+		
+		/**
+		 * Reverts a change the data source rejected, if the item has not
+		 * changed since, and fires a change event for it; the undo history
+		 * is cleared, as it no longer matches the items
+		 *
+		 * @param {object} operation the operation details
+		 * @returns {void}
+		 */
+		#_rollback(operation) {
+			const index = this.indexOf(operation.id);
+			const li = this.#_getLiAtIndex(index);
+			let reverted = false;
+			this.#_replaying = true;
+			try {
+				switch (operation.action) {
+					case "add":
+						if (li) {
+							this.#_removeListItem(li);
+							reverted = true;
+						}
+						break;
+					case "remove":
+						if (!li) {
+							this.#_insertItem(this.#_newItem({id: operation.id, value: operation.item, data: operation.data}), Math.min(operation.index, this.#_items.length));
+							reverted = true;
+						}
+						break;
+					case "edit":
+						if (li && li._item.value === operation.new) {
+							this.#_setItemValue(li._item, operation.previous);
+							this.#_renderItem(li);
+							// in a sorted list, the item goes back to the place of its previous value
+							const to = this.#_sortedIndex(operation.previous, index, li._item);
+							if (to !== index) this.#_moveItem(index, to);
+							this.#_itemsChanged();
+							reverted = true;
+						}
+						break;
+					case "data":
+						if (li && li._item.data === operation.new) {
+							li._item.data = operation.previous;
+							this.#_renderItem(li);
+							this.#_itemsChanged();
+							reverted = true;
+						}
+						break;
+					case "move":
+						if (li) {
+							this.#_moveItem(index, Math.min(operation.from, this.#_items.length - 1));
+							reverted = true;
+						}
+						break;
+					case "reorder":
+						if (this.#_items.length === operation.ids.length && this.#_items.every((item, i) => item.id === operation.ids[i])) {
+							this.#_applyOrder(EditableList.#_inverseOperation(operation).order);
+							reverted = true;
+						}
+						break;
+				}
+			} finally {
+				this.#_replaying = false;
+			}
+			this.#_undoStack = [];
+			this.#_redoStack = [];
+			if (!reverted) return;
+			// a reverted addition gives the index the item had before its removal
+			const revertedIndex = this.indexOf(operation.id);
+			this.#_dispatchChanges([{action: "rollback", index: revertedIndex >= 0 ? revertedIndex : index, id: operation.id, operation: operation, source: "api"}]);
+		}
+		
+		/**
+		 * Fires the sync-error event of the data source
+		 *
+		 * @param {Error} error the error the data source rejected with
+		 * @param {string} method the called method of the data source
+		 * @param {object} operation the rolled back operation, or null
+		 * @returns {void}
+		 */
+		#_sourceError(error, method, operation) {
+			const item = operation ? this.getItemById(operation.id) : null;
+			if (operation) this.#_announce(operation.action === "reorder" ? this.#_string('orderSaveFailed') : this.#_string('saveFailed', {value: item ? item.value : operation.item}));
+			this.dispatchEvent(new CustomEvent("sync-error", {
+				bubbles: true,
+				cancelable: false,
+				composed: true,
+				detail: {error: error, method: method, operation: operation, id: operation ? operation.id : null, items: this.items()}
+			}));
+		}
+		
+		/**
+		 * Adds an operation to the undo history, or to the current group of
+		 * operations if one is being recorded
+		 *
+		 * @param {object} operation the operation details
+		 * @returns {void}
+		 */
+		#_record(operation) {
+			if (this.#_replaying) return;
+			this.#_sync(operation);
+			if (this.#_historyGroup) {
+				this.#_historyGroup.push(operation);
+				return;
+			}
+			this.#_pushHistory([operation]);
+		}
+		
+		/**
+		 * Records all operations performed by a callback as a single change
+		 * in the undo history
+		 *
+		 * @param {function} callback the function performing the operations
+		 * @returns {void}
+		 */
+		#_recordGroup(callback) {
+			if (this.#_historyGroup) {
+				callback();
+				return;
+			}
+			this.#_historyGroup = [];
+			try {
+				callback();
+			} finally {
+				const operations = this.#_historyGroup;
+				this.#_historyGroup = null;
+				this.#_pushHistory(operations);
+			}
+		}
+		
+		/**
+		 * Pushes a change to the undo history, dropping the oldest changes
+		 * beyond the history limit
+		 *
+		 * @param {array} operations the operations of the change
+		 * @returns {void}
+		 */
+		#_pushHistory(operations) {
+			if (this.#_replaying || operations.length === 0) return;
+			const limit = this.#_intAttribute('history-limit') ?? EditableList.#_historyLimitDefault;
+			this.#_undoStack.push(operations);
+			if (this.#_undoStack.length > limit) this.#_undoStack.splice(0, this.#_undoStack.length - limit);
+			this.#_redoStack = [];
+		}
+		
+		/**
+		 * Performs a list of operations without recording them
+		 *
+		 * @param {array} operations the operations to perform
+		 * @returns {void}
+		 */
+		#_replay(operations) {
+			this.#_replaying = true;
+			try {
+				operations.forEach(operation => {
+					switch (operation.action) {
+						case "add":
+							this.#_insertItem(this.#_newItem({id: operation.id, value: operation.item, data: operation.data}), operation.index);
+							break;
+						case "remove":
+							this.#_removeListItem(this.#_getLiAtIndex(operation.index));
+							break;
+						case "edit": {
+							const li = this.#_getLiAtIndex(operation.index);
+							this.#_setItemValue(li._item, operation.new);
+							this.#_renderItem(li);
+							this.#_itemsChanged();
+							break;
+						}
+						case "move":
+							this.#_moveItem(operation.from, operation.to);
+							break;
+						case "reorder":
+							this.#_applyOrder(operation.order);
+							break;
+					}
+					this.#_sync(operation);
+				});
+			} finally {
+				this.#_replaying = false;
+			}
+		}
+		
+		/**
+		 * Get the operation that reverts an operation
+		 *
+		 * @param {object} operation the operation details
+		 * @returns {object} the inverse operation details
+		 */
+		static #_inverseOperation(operation) {
+			switch (operation.action) {
+				case "add":
+					return {...operation, action: "remove"};
+				case "remove":
+					return {...operation, action: "add"};
+				case "edit":
+					return {...operation, previous: operation.new, new: operation.previous};
+				case "move":
+					return {action: "move", from: operation.to, to: operation.from};
+				case "reorder": {
+					const order = [];
+					operation.order.forEach((from, to) => { order[from] = to; });
+					return {action: "reorder", order: order};
+				}
+			}
+		}
+		
+		/**
+		 * Handles the undo and redo keyboard shortcuts
+		 *
+		 * @param {KeyboardEvent} e the caller event object
+		 * @returns {void}
+		 */
+		#_historyKeydown(e) {
+			if (e.target.tagName === "INPUT" || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+			const key = e.key.toLowerCase();
+			let done;
+			if (key === "z" && !e.shiftKey) done = this.#_undo("user");
+			else if ((key === "z" && e.shiftKey) || key === "y") done = this.#_redo("user");
+			else return;
+			e.preventDefault();
+			if (done) this.#_announce(this.#_string(key === "z" && !e.shiftKey ? 'undone' : 'redone'));
+		}
+		
+		/**
+		 * Get the containing element of the component items
+		 *
+		 * @returns {HTMLElement} the containing item
+		 */
+		#_itemList() {
+			return this.shadowRoot.querySelector('.item-list');
+		}
+		
+		/**
+		 * Get the containing li element from an element inside it
+		 *
+		 * @param {HTMLElement} element an element inside the item li
+		 * @returns {HTMLElement} the item li
+		 */
+		#_getLi(element) {
+			while (element.tagName !== "LI") element = element.parentNode;
+			return element;
+		}
+		
+		/**
+		 * Get the index of an item li
+		 *
+		 * @param {HTMLElement} li the item li
+		 * @returns {integer} the index of the item
+		 */
+		#_liIndex(li) {
+			return this.#_items.indexOf(li._item);
+		}
+		
+		/**
+		 * Get the containing li element by index
+		 *
+		 * @param {integer} index the index of an element
+		 * @returns {HTMLElement} the item li at the specified index or null
+		 */
+		#_getLiAtIndex(index) {
+			const item = this.#_items[index];
+			return item ? this.#_liFor(item) : null;
+		}
+		
+		/**
+		 * Check if an item value already exists
+		 *
+		 * @param {string} newValue the new item value
+		 * @param {object} item the item with the new value
+		 * @returns {bool} true if it exists, false otherwise
+		 */
+		#_valueExists(newValue, item) {
+			const count = this.#_valueCounts.get(newValue) || 0;
+			return count - (item && item.value === newValue ? 1 : 0) > 0;
+		}
+		
+		/**
+		 *     Public Methods
+		 */
+
+		/**
+		 * Get a list of all items of the component
+		 *
+		 * @param {object} options set objects to true to get item objects
+		 * @returns {array} the list of item values, or item objects with
+		 *                  their id, value and data
+		 */
+		items(options) {
+			this.#_init();
+			if (options && options.objects) return this.#_items.map(item => ({...item}));
+			return this.#_items.map(item => item.value);
+		}
+
+		/**
+		 * Get the item values of the component
+		 *
+		 * @returns {array} the list of item values
+		 */
+		get value() {
+			if (this.#_pendingValue) return this.#_pendingValue.map(item => (item !== null && typeof item === 'object') ? String(item.value) : String(item));
+			return this.items();
+		}
+		
+		/**
+		 * Replace all the items of the component
+		 *
+		 * @param {array} listItems an array of item values or item objects
+		 */
+		set value(listItems) {
+			listItems = Array.isArray(listItems) ? listItems : [];
+			if (!this.shadowRoot) {
+				this.#_pendingValue = listItems;
+				return;
+			}
+			
+			this.#_replaceItems(listItems);
+		}
+
+		/**
+		 * Add a list of items to the component
+		 *
+		 * @param {array} listItems an array of item values or item objects
+		 * @returns {void}
+		 */
+		addItems(listItems) {
+			this.#_init();
+			this.#_addItems(listItems, "api");
+		}
+		
+		/**
+		 * Split a text into items and add them, skipping the values already
+		 * in the list or repeated in the text
+		 *
+		 * @param {string} text The text to import
+		 * @param {object} options The splitOn delimiters (the split-on
+		 *                         attribute by default), skipDuplicates (true
+		 *                         by default) and preview, to only count the
+		 *                         items that would be added
+		 * @returns {object} the number of items added, skipped as duplicates
+		 *                   and rejected by validation
+		 */
+		importText(text, options) {
+			this.#_init();
+			return this.#_importText(text, options, "api");
+		}
+		
+		/**
+		 * Get the item values for JSON.stringify()
+		 *
+		 * @returns {array} the list of item values
+		 */
+		toJSON() {
+			return this.items();
+		}
+		
+		/**
+		 * Export the item values as a string
+		 *
+		 * @param {string} format json (a JSON array), csv (one value per
+		 *                        record) or text (one value per line)
+		 * @returns {string} the exported values
+		 */
+		exportAs(format) {
+			return this.#_export(this.items(), format);
+		}
+		
+		/**
+		 * Import items from a json, csv or text string
+		 *
+		 * @param {string|array} data The string, or an array for json
+		 * @param {string} format json, csv (every field is an item) or text
+		 *                        (every line is an item)
+		 * @param {object} options Set mode to replace to replace all items,
+		 *                         or to append (default) to add them
+		 * @returns {integer} the number of added items
+		 */
+		importFrom(data, format, options) {
+			this.#_init();
+			const listItems = this.#_parseItems(data, format);
+			let results;
+			this.#_recordGroup(() => {
+				if (options && options.mode === 'replace') this.#_removeAllItems("api");
+				results = this.#_addItems(listItems, "api");
+			});
+			return results.filter(result => result.item).length;
+		}
+		
+		/**
+		 * Copy the item values to the clipboard
+		 *
+		 * @param {string} format json, csv or text (default)
+		 * @returns {Promise} resolves once the values are copied, or rejects
+		 *                    if the format is unknown or the clipboard is
+		 *                    unavailable
+		 */
+		copyToClipboard(format) {
+			return Promise.resolve().then(() => navigator.clipboard.writeText(this.exportAs(format || 'text')));
+		}
+		
+		/**
+		 * Change an item's value by index
+		 *
+		 * @param {integer} index The index of the item to change
+		 * @param {string|object} newValue The new value of the item, or an
+		 *                                 object with its new value and/or data
+		 * @returns {void}
+		 */
+		changeItem(index, newValue) {
+			this.#_init();
+			const li = this.#_getLiAtIndex(index);
+			if (li === null) return;
+			
+			this.#_updateItem(li, (newValue !== null && typeof newValue === 'object') ? newValue : {value: newValue}, "api");
+		}
+		
+		/**
+		 * Get an item by id
+		 *
+		 * @param {string} id The id of the item
+		 * @returns {object} the item object with its id, value and data, or null
+		 */
+		getItemById(id) {
+			this.#_init();
+			const item = this.#_items.find(item => item.id === id);
+			return item ? {...item} : null;
+		}
+		
+		/**
+		 * Get the index of an item by id
+		 *
+		 * @param {string} id The id of the item
+		 * @returns {integer} the index of the item, or -1 if not found
+		 */
+		indexOf(id) {
+			this.#_init();
+			return this.#_items.findIndex(item => item.id === id);
+		}
+		
+		/**
+		 * Change an item's value, data and/or locked flag by id
+		 *
+		 * @param {string} id The id of the item to change
+		 * @param {object} patch An object with the new value, data and/or
+		 *                       locked flag
+		 * @returns {bool} true if the item was changed, false otherwise
+		 */
+		updateItem(id, patch) {
+			this.#_init();
+			const li = this.#_getLiAtIndex(this.indexOf(id));
+			if (li === null) return false;
+			
+			return this.#_updateItem(li, patch, "api");
+		}
+
+		/**
+		 * Remove an item by index
+		 *
+		 * @param {integer} index The index of the item to remove
+		 * @returns {void}
+		 */
+		removeItem(index) {
+			this.#_init();
+			const li = this.#_getLiAtIndex(index);
+			if (li === null) return;
+			
+			this.#_removeItem(li, "api");
+		}
+
+		/**
+		 * Move an item up by index
+		 *
+		 * @param {integer} index The index of the item to move
+		 * @returns {void}
+		 */
+		moveItemUp(index) {
+			this.#_init();
+			const li = this.#_getLiAtIndex(index);
+			if (li === null) return;
+			
+			this.#_moveUpListItem(li, "api");
+		}
+
+		/**
+		 * Move an item down by index
+		 *
+		 * @param {integer} index The index of the item to move
+		 * @returns {void}
+		 */
+		moveItemDown(index) {
+			this.#_init();
+			const li = this.#_getLiAtIndex(index);
+			if (li === null) return;
+			
+			this.#_moveDownListItem(li, "api");
+		}
+
+		/**
+		 * Remove all items
+		 *
+		 * @returns {void}
+		 */
+		removeAllItems() {
+			this.#_init();
+			this.#_removeAllItems("api");
+		}
+		
+		/**
+		 * Undo the last change
+		 *
+		 * @returns {bool} true if a change was undone, false otherwise
+		 */
+		undo() {
+			this.#_init();
+			return this.#_undo("api");
+		}
+		
+		/**
+		 * Redo the last undone change
+		 *
+		 * @returns {bool} true if a change was redone, false otherwise
+		 */
+		redo() {
+			this.#_init();
+			return this.#_redo("api");
+		}
+		
+		/**
+		 * Check if there is a change to undo, which the readonly and no-*
+		 * attributes and the locked items allow
+		 *
+		 * @returns {bool} true if there is, false otherwise
+		 */
+		get canUndo() {
+			return this.#_undoStack.length > 0 && this.#_allowsReplay(this.#_undoOperations());
+		}
+		
+		/**
+		 * Check if there is an undone change to redo, which the readonly and
+		 * no-* attributes and the locked items allow
+		 *
+		 * @returns {bool} true if there is, false otherwise
+		 */
+		get canRedo() {
+			return this.#_redoStack.length > 0 && this.#_allowsReplay(this.#_redoStack.at(-1));
+		}
+		
+		/**
+		 * Unselect all items
+		 *
+		 * @returns {void}
+		 */
+		unselectAllItems() {
+			this.#_init();
+			this.#_cleanSelection();
+		}
+		
+		/**
+		 * Select items by index, replacing the current selection
+		 *
+		 * @param {integer|array} indices The index, or an array of indices,
+		 *                                of the items to select
+		 * @returns {void}
+		 */
+		select(indices) {
+			this.#_init();
+			const ids = [].concat(indices).filter(index => this.#_items[index]).map(index => this.#_items[index].id);
+			this.#_anchorId = ids.length > 0 ? ids[ids.length - 1] : this.#_anchorId;
+			this.#_setSelection(ids, this.#_anchorId);
+		}
+		
+		/**
+		 * Select all items shown by the filter, in multiple selection mode
+		 *
+		 * @returns {void}
+		 */
+		selectAll() {
+			this.#_init();
+			if (this.#_selectionMode() !== 'multiple') return;
+			this.#_setSelection(this.#_items.filter(item => this.#_matchesFilter(item.value)).map(item => item.id));
+		}
+		
+		/**
+		 * Get the indices of the selected items
+		 *
+		 * @returns {array} the indices of the selected items, in ascending order
+		 */
+		get selectedIndices() {
+			this.#_init();
+			return this.#_items.map((item, index) => index).filter(index => this.#_selection.has(this.#_items[index].id));
+		}
+		
+		/**
+		 * Select items by index, replacing the current selection; before
+		 * the list is rendered, the indices are kept until it is
+		 *
+		 * @param {array} indices the indices of the items to select
+		 */
+		set selectedIndices(indices) {
+			if (!this.shadowRoot) {
+				this.#_pendingSelection = [].concat(indices);
+				return;
+			}
+			this.select(indices);
+		}
+		
+		/**
+		 * Remove the selected items
+		 *
+		 * @returns {void}
+		 */
+		removeSelectedItems() {
+			this.#_init();
+			this.#_removeSelectedItems("api");
+		}
+		
+		/**
+		 * Move the selected items up by one position, as a block
+		 *
+		 * @returns {void}
+		 */
+		moveSelectedItemsUp() {
+			this.#_init();
+			this.#_moveSelectedItems(-1, "api");
+		}
+		
+		/**
+		 * Move the selected items down by one position, as a block
+		 *
+		 * @returns {void}
+		 */
+		moveSelectedItemsDown() {
+			this.#_init();
+			this.#_moveSelectedItems(1, "api");
+		}
+		
+		/**
+		 * Sort the items by value, in the natural order of the language, or
+		 * with a compare function; ignored in a sorted list
+		 *
+		 * @param {function} compareFn a function comparing two item values,
+		 *                             like the one of Array.prototype.sort()
+		 * @returns {bool} true if the order changed, false otherwise
+		 */
+		sort(compareFn) {
+			this.#_init();
+			if (this.hasAttribute('sorted')) return false;
+			const compare = typeof compareFn === 'function' ? (a, b) => compareFn(a.value, b.value) : this.#_valueCompare(false);
+			return this.#_sortItems(compare, "api");
+		}
+		
+		/**
+		 * Reverse the order of the items; ignored in a sorted list
+		 *
+		 * @returns {bool} true if the order changed, false otherwise
+		 */
+		reverse() {
+			this.#_init();
+			if (this.hasAttribute('sorted')) return false;
+			return this.#_reorderItems(this.#_items.map((item, index) => this.#_items.length - 1 - index), "api");
+		}
+		
+		/**
+		 * Check if the list satisfies its validation rules
+		 *
+		 * @returns {bool} true if valid, false otherwise
+		 */
+		checkValidity() {
+			this.#_init();
+			return this.#_internals.checkValidity();
+		}
+		
+		/**
+		 * Check if the list satisfies its validation rules and report the
+		 * problem to the user if not
+		 *
+		 * @returns {bool} true if valid, false otherwise
+		 */
+		reportValidity() {
+			this.#_init();
+			const valid = this.#_internals.reportValidity();
+			if (this.shadowRoot) this.#_showError(valid ? '' : this.#_internals.validationMessage);
+			return valid;
+		}
+		
+		/**
+		 * Get the function that renders the items
+		 *
+		 * @returns {function} the renderer function or null
+		 */
+		get itemRenderer() {
+			return this.#_itemRenderer;
+		}
+		
+		/**
+		 * Set a function(item, index) that returns the node, or the text, to
+		 * render for an item; all items are rendered again
+		 *
+		 * @param {function} renderer the renderer function or null
+		 */
+		set itemRenderer(renderer) {
+			this.#_itemRenderer = typeof renderer === 'function' ? renderer : null;
+			if (!this.shadowRoot) return;
+			[...this.#_itemList().children].forEach(li => this.#_renderItem(li));
+		}
+		
+		/**
+		 * Get the icons that replace the default ones
+		 *
+		 * @returns {object} the icons by name
+		 */
+		get icons() {
+			return {...this.#_icons};
+		}
+		
+		/**
+		 * Set the icons that replace the default ones, by name (up, down,
+		 * remove, add and drag); an icon is an SVG markup string or a node,
+		 * which is cloned
+		 *
+		 * @param {object} icons the icons by name, or null
+		 */
+		set icons(icons) {
+			this.#_icons = {...icons};
+			if (!this.shadowRoot) return;
+			this.#_applyIcons(this.shadowRoot);
+			this.#_items.forEach(item => {
+				const li = this.#_lis.get(item);
+				if (li) this.#_applyIcons(li);
+			});
+		}
+		
+		/**
+		 * Get the custom actions of the items
+		 *
+		 * @returns {array} the actions
+		 */
+		get itemActions() {
+			return this.#_itemActions.map(action => ({...action}));
+		}
+		
+		/**
+		 * Set the custom actions shown in the toolbar of every item, as
+		 * {action, label, icon} objects; the icon is optional, the label is
+		 * shown instead. Clicking an action fires an item-action event
+		 *
+		 * @param {array} actions the actions, or null
+		 */
+		set itemActions(actions) {
+			this.#_itemActions = (Array.isArray(actions) ? actions : [])
+				.filter(action => action && action.action)
+				.map(({action, label, icon}) => ({action: String(action), label: String(label ?? action), icon: icon ?? null}));
+			if (!this.shadowRoot) return;
+			this.#_items.forEach(item => {
+				const li = this.#_lis.get(item);
+				if (!li) return;
+				this.#_renderItemActions(li);
+				this.#_updateItemLabels(li);
+			});
+		}
+		
+		/**
+		 * Get the locale of the strings, the plural rules and the sort order:
+		 * the locale property, or the lang attribute of the element, of its
+		 * closest ancestor or of the document, or the browser language
+		 *
+		 * @returns {string} the locale
+		 */
+		get locale() {
+			if (this.#_resolvedLocale) return this.#_resolvedLocale;
+			const locale = this.#_locale || this.closest('[lang]')?.lang || document.documentElement.lang || navigator.language;
+			try {
+				this.#_resolvedLocale = Intl.getCanonicalLocales(locale)[0];
+			} catch {
+				this.#_resolvedLocale = navigator.language;
+			}
+			return this.#_resolvedLocale;
+		}
+		
+		/**
+		 * Set the locale, which takes precedence over the lang attributes
+		 *
+		 * @param {string} locale a BCP 47 language tag, or null
+		 */
+		set locale(locale) {
+			this.#_locale = locale ? String(locale) : null;
+			this.#_updateStrings();
+		}
+		
+		/**
+		 * Get the strings that replace the default ones
+		 *
+		 * @returns {object} the strings by key
+		 */
+		get strings() {
+			return {...this.#_strings};
+		}
+		
+		/**
+		 * Set the user-facing strings that replace the default ones, by key;
+		 * a string may contain {name} placeholders, and plural strings are
+		 * objects keyed by plural category, e.g. {one: '{count} item',
+		 * other: '{count} items'}
+		 *
+		 * @param {object} strings the strings by key, or null
+		 */
+		set strings(strings) {
+			this.#_strings = {...strings};
+			this.#_updateStrings();
+		}
+		
+		/**
+		 * Get the text that filters the items
+		 *
+		 * @returns {string} the filter text
+		 */
+		get filter() {
+			return this.#_filterQuery;
+		}
+		
+		/**
+		 * Set the text that filters the items; an empty text shows all items
+		 *
+		 * @param {string} query the filter text
+		 */
+		set filter(query) {
+			query = String(query ?? '');
+			if (!this.shadowRoot) {
+				this.#_filterQuery = query;
+				this.#_filter = this.#_normalizeText(query.trim());
+				return;
+			}
+			this.shadowRoot.querySelector('.filter-input').value = query;
+			this.#_applyFilter(query);
+		}
+		
+		/**
+		 * Get the values suggested while typing
+		 *
+		 * @returns {array} the suggested values, or null
+		 */
+		get suggestions() {
+			return this.#_suggestions ? [...this.#_suggestions] : null;
+		}
+		
+		/**
+		 * Set the values suggested while typing in the add and edit inputs
+		 *
+		 * @param {array} suggestions the suggested values, or null
+		 */
+		set suggestions(suggestions) {
+			this.#_suggestions = Array.isArray(suggestions) ? suggestions.map(value => String(value)) : null;
+		}
+		
+		/**
+		 * Get the function that provides suggestions
+		 *
+		 * @returns {function} the suggest function or null
+		 */
+		get suggest() {
+			return this.#_suggest;
+		}
+		
+		/**
+		 * Set an async function(query) that returns the values to suggest
+		 * for a typed text; it is used instead of the suggestions list
+		 *
+		 * @param {function} suggest the suggest function or null
+		 */
+		set suggest(suggest) {
+			this.#_suggest = typeof suggest === 'function' ? suggest : null;
+			this.#_suggested.clear();
+		}
+		
+		/**
+		 * Get the data source of the items
+		 *
+		 * @returns {object} the data source or null
+		 */
+		get source() {
+			return this.#_source;
+		}
+		
+		/**
+		 * Set a data source, an object with load(), add(item, index),
+		 * update(item, previous), remove(item, index) and
+		 * move(item, fromIndex, toIndex) methods returning promises; the
+		 * items are loaded from it at once if the element is attached
+		 *
+		 * @param {object} source the data source or null
+		 */
+		set source(source) {
+			this.#_source = (source !== null && typeof source === 'object') ? source : null;
+			this.#_itemStates.clear();
+			this.#_loadSource();
+		}
+		
+		/**
+		 * Get the custom storage adapter
+		 *
+		 * @returns {object} the storage adapter or null
+		 */
+		get storageAdapter() {
+			return this.#_storageAdapter;
+		}
+		
+		/**
+		 * Set an object with load(key) and save(key, snapshot) methods that
+		 * return promises, used instead of the persist-storage attribute
+		 *
+		 * @param {object} adapter the storage adapter or null
+		 */
+		set storageAdapter(adapter) {
+			this.#_storageAdapter = (adapter && typeof adapter.load === 'function' && typeof adapter.save === 'function') ? adapter : null;
+		}
+		
+		/**
+		 * Get whether the list is disabled
+		 *
+		 * @returns {bool} true if the disabled attribute is set
+		 */
+		get disabled() {
+			return this.hasAttribute('disabled');
+		}
+		
+		/**
+		 * Set whether the list is disabled, reflected to the disabled
+		 * attribute
+		 *
+		 * @param {bool} disabled true to disable the list
+		 */
+		set disabled(disabled) {
+			this.toggleAttribute('disabled', !!disabled);
+		}
+		
+		/**
+		 * Get whether the list is read-only
+		 *
+		 * @returns {bool} true if the readonly attribute is set
+		 */
+		get readOnly() {
+			return this.hasAttribute('readonly');
+		}
+		
+		/**
+		 * Set whether the list is read-only, reflected to the readonly
+		 * attribute
+		 *
+		 * @param {bool} readOnly true to make the list read-only
+		 */
+		set readOnly(readOnly) {
+			this.toggleAttribute('readonly', !!readOnly);
+		}
+		
+		/**
+		 * Get the function that validates item values
+		 *
+		 * @returns {function} the validator function or null
+		 */
+		get validator() {
+			return this.#_validator;
+		}
+		
+		/**
+		 * Set a function(value, items) that validates item values; it returns
+		 * an error message or false to reject a value
+		 *
+		 * @param {function} validator the validator function or null
+		 */
+		set validator(validator) {
+			this.#_validator = typeof validator === 'function' ? validator : null;
+			this.#_updateValidity();
+		}
+		
+		/**
+		 * Get the validity state of the list
+		 *
+		 * @returns {ValidityState} the validity state
+		 */
+		get validity() {
+			return this.#_internals.validity;
+		}
+		
+		/**
+		 * Get the message describing why the list is invalid
+		 *
+		 * @returns {string} the validation message
+		 */
+		get validationMessage() {
+			return this.#_internals.validationMessage;
+		}
+		
+		/**
+		 * Check if the list takes part in constraint validation
+		 *
+		 * @returns {bool} true if it does, false otherwise
+		 */
+		get willValidate() {
+			return this.#_internals.willValidate;
+		}
+		
+		/**
+		 * Get the form the element is associated with
+		 *
+		 * @returns {HTMLFormElement} the form or null
+		 */
+		get form() {
+			return this.#_internals.form;
+		}
+		
+		/**
+		 * Get the name under which the items are submitted
+		 *
+		 * @returns {string} the name attribute
+		 */
+		get name() {
+			return this.getAttribute('name');
+		}
+		
+		/**
+		 * Get the type of the form control
+		 *
+		 * @returns {string} the element's local name
+		 */
+		get type() {
+			return this.localName;
 		}
 		
 	}
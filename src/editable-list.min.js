@@ -1 +1 @@
-!function(){class e extends HTMLElement{static observedAttributes=["add-item-text"];static #a="This value already exists!";constructor(){super()}#b(){let t=this.attachShadow({mode:"open"}),i=document.createElement("div"),s=this.getAttribute("add-item-text")||"",l=this.#c();i.classList.add("editable-list","defocused"),i.innerHTML=`<style>:host(.disabled){pointer-events:none}.editable-list{background:#fff;border:1px solid #444;border-radius:4px;padding:12px;min-width:300px}.editable-list.defocused{border:1px solid silver}ul{padding:0;margin:0}li{height:36px;padding:0 8px;cursor:default}.editable-list:not(.defocused) li.selected{background:#f8f8f8}div>div,li{display:flex;align-items:center;justify-content:space-between}.editable-list:not(.defocused) li:hover{background:#eee}.item-wrapper{display:flex;padding-right:8px;padding-left:2px;align-items:baseline}.toolbar{display:flex;gap:6px}.editable-list.defocused .toolbar,li:not(.selected) .toolbar{opacity:0;pointer-events:none}.toolbar button{position:relative}.toolbar button:hover:before{content:' ';position:absolute;width:24px;height:24px;background:rgba(0,0,0,.1);left:-4px;top:-4px;border-radius:50%}.icon{background-color:transparent;border:none;cursor:pointer;font-size:0;fill:#444;padding:0}.icon svg{width:16px;height:16px}.new-list-item{margin-top:16px;padding:0 8px 0 2px}.add-new-list-item-input,.edit-list-item-input{padding:6px 8px;border-radius:4px;border:1px solid #bbb;font-size:14px;font-family:inherit}.editable-list.defocused .add-new-list-item-input{border:1px solid transparent;opacity:.5}.edit-list-item-input{margin-left:-8px}</style><ul class="item-list">${l.map(e=>`<li>${this.#d(e)}</li>`).join("")}</ul><div class="new-list-item"><input class="add-new-list-item-input" type="text" placeholder="${s}"><div class="toolbar"><button class="editable-list-add-item icon" title="Add"><svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"></path></svg></button></div></div>`,t.appendChild(i)}#e(n){return new CustomEvent("change",{bubbles:!0,cancelable:!1,composed:!0,detail:n})}#f(r){r.composedPath().includes(this)||this.shadowRoot.querySelector(".editable-list").classList.add("defocused")}#g(o){this.shadowRoot.querySelector(".editable-list").classList.remove("defocused")}#h(d){if(d instanceof KeyboardEvent&&"Enter"===d.key||!(d instanceof KeyboardEvent)){let a=this.shadowRoot.querySelector(".add-new-list-item-input");if(""!==a.value.trim()){let h="false"!==this.getAttribute("allow-duplicates"),c=this.getAttribute("duplicate-prompt")||e.#a;if(!h&&this.#i(a.value,null)){""!==c.trim()&&alert(c),a.focus();return}this.addItems([a.value]),this.dispatchEvent(this.#e({action:"add",previous:null,new:a.value})),this.#j().lastChild.click(),a.value=""}}}connectedCallback(){this.#b();let e=this.shadowRoot.querySelector(".editable-list"),t=[...this.shadowRoot.querySelectorAll("li")],i=[...this.shadowRoot.querySelectorAll(".item-wrapper")],s={};s.up=[...this.shadowRoot.querySelectorAll(".editable-list-up-item")],s.down=[...this.shadowRoot.querySelectorAll(".editable-list-down-item")],s.remove=[...this.shadowRoot.querySelectorAll(".editable-list-remove-item")];let l=this.shadowRoot.querySelector(".new-list-item"),n=this.shadowRoot.querySelector(".add-new-list-item-input"),r=this.shadowRoot.querySelector(".editable-list-add-item");this.#k(),document.addEventListener("click",this.#f.bind(this),!1),e.addEventListener("click",this.#g.bind(this),!0),this.#l.bind(this)(t),this.#m.bind(this)(i,s),l.addEventListener("click",this.#n.bind(this),!0),n.addEventListener("keypress",this.#h.bind(this),!1),r.addEventListener("click",this.#h.bind(this),!1)}attributeChangedCallback(e,t,i){this.shadowRoot&&"add-item-text"===e&&this.shadowRoot.querySelector(".add-new-list-item-input").setAttribute("placeholder",i)}#c(){let p=[];return[...this.attributes].forEach(e=>{e.name.includes("list-item")&&p.push(e.value)}),p}#d(u){return`<div class="item-wrapper">${u}</div><div class="toolbar"><button class="editable-list-up-item icon" title="Move up"><svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="m5 9 1.41 1.41L11 5.83V22h2V5.83l4.59 4.59L19 9l-7-7-7 7z"></path></svg></button><button class="editable-list-down-item icon" title="Move down"><svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="m19 15-1.41-1.41L13 18.17V2h-2v16.17l-4.59-4.59L5 15l7 7 7-7z"></path></svg></button><button class="editable-list-remove-item icon" title="Remove"><svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"></path></svg></button></div>`}#k(){let m=this.shadowRoot.querySelectorAll(".editable-list-up-item"),v=this.shadowRoot.querySelectorAll(".editable-list-down-item"),b=m.length;for(let w=0;w<b;w++)m[w].style.visibility=0==w?"hidden":"visible",v[w].style.visibility=w==b-1?"hidden":"visible"}#l(g){g.forEach(e=>{e.addEventListener("click",this.#o.bind(this),!1)})}#m(f,_){let x=/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);f.forEach(e=>{e.addEventListener("dblclick",this.#p.bind(this),!1),x&&e.addEventListener("touchend",this.#q())}),_.up.forEach(e=>{e.addEventListener("click",this.#r.bind(this),!1)}),_.down.forEach(e=>{e.addEventListener("click",this.#s.bind(this),!1)}),_.remove.forEach(e=>{e.addEventListener("click",this.#t.bind(this),!1)})}#p(L){if(this._editing)return;this._editing=!0;let $=this.#u(L.target),y=$.querySelector(".item-wrapper"),E=document.createElement("INPUT");E.className="edit-list-item-input",E.value=y.innerText,E._value=y.innerText,E.addEventListener("blur",this.#v.bind(this),!1),E.addEventListener("keypress",this.#v.bind(this),!1),y.innerHTML="",y.appendChild(E),E.focus()}#v(S){if(this._editing&&(S instanceof KeyboardEvent&&"Enter"===S.key||!(S instanceof KeyboardEvent))){S.preventDefault();let k=this.#u(S.target);k.querySelector(".item-wrapper");let q=k.querySelector(".item-wrapper input"),I=q._value,A=this.#w(k,q.value,I),T=this.getAttribute("duplicate-prompt")||e.#a;A.accepted||""===T.trim()||alert(T),A.differs&&this.dispatchEvent(this.#e({action:"edit",previous:I,new:A.val}))}}#q(){let H=0,R,M=function(e){let t=new Date().getTime(),i=t-H;i<500&&i>0?(e.preventDefault(),this.#p(e)):R=setTimeout(()=>{clearTimeout(R)},500),H=t};return M.bind(this)}#w(P,D,B){let z={val:"",accepted:!0,differs:!1},C=P.querySelector(".item-wrapper"),N=D;""===N.trim()&&(N=B);let V="false"!==this.getAttribute("allow-duplicates");return!V&&this.#i(N,C)&&(N=B,z.accepted=!1),this._editing=!1,C.innerHTML=N,z.val=N,z.differs=N!==B,z}#o(U){this.#n.bind(this)();let F=this.#u(U.target);F.classList.toggle("selected",!0)}#t(j){j.stopPropagation();let O=this.#u(j.target),G=this.#x(O.querySelector(".item-wrapper").innerHTML);this.#y(O),this.dispatchEvent(this.#e({action:"remove",previous:G,new:null}))}#r(J){J.stopPropagation();let K=this.#u(J.target);if(!this.#z(K))return;let Q=this.#x(K.querySelector(".item-wrapper").innerHTML);this.dispatchEvent(this.#e({action:"move",direction:"up",item:Q}))}#s(W){W.stopPropagation();let X=this.#u(W.target);if(!this.#A(X))return;let Y=this.#x(X.querySelector(".item-wrapper").innerHTML);this.dispatchEvent(this.#e({action:"move",direction:"down",item:Y}))}#n(Z){[...this.shadowRoot.querySelectorAll("li")].forEach(e=>{e.classList.toggle("selected",!1)})}#z(ee){let et=ee.previousElementSibling;return!!et&&(ee.parentNode.insertBefore(ee,et),this.#k(),!0)}#A(ei){let es=ei.nextElementSibling;return!!es&&(ei.parentNode.insertBefore(es,ei),this.#k(),!0)}#y(el){el.remove(),this.#k()}#j(){return this.shadowRoot.querySelector(".item-list")}#u(en){for(;"LI"!==en.tagName;)en=en.parentNode;return en}#B(er){return this.#j().children[er]||null}#i(eo,ed){let ea=[...this.shadowRoot.querySelectorAll("li .item-wrapper")],eh=!1;for(var ec=0;ec<ea.length;ec++)if(ea[ec]!==ed&&ea[ec].innerText===eo){eh=!0;break}return eh}#x(ep){var eu=document.createElement("textarea");return eu.innerHTML=ep,eu.value}items(){return[...this.shadowRoot.querySelectorAll(".item-wrapper")].map(e=>this.#x(e.innerHTML))}addItems(e){let t=[],i=[],s={up:[],down:[],remove:[]},l="false"!==this.getAttribute("allow-duplicates");e.forEach(e=>{if(l||!this.#i(e,null)){let n=document.createElement("li");n.innerHTML=this.#d(e),this.#j().appendChild(n),t.push(n),i.push(n.querySelector(".item-wrapper")),s.up.push(n.querySelector(".editable-list-up-item")),s.down.push(n.querySelector(".editable-list-down-item")),s.remove.push(n.querySelector(".editable-list-remove-item"))}}),this.#l.bind(this)(t),this.#m.bind(this)(i,s),this.#k()}changeItem(e,t){let i=this.#B(e);if(null===i||this._editing)return;this._editing=!0;let s=i.querySelector(".item-wrapper");this.#w(i,t,s.innerText)}removeItem(e){let t=this.#B(e);null!==t&&this.#y(t)}moveItemUp(e){let t=this.#B(e);null!==t&&this.#z(t)}moveItemDown(e){let t=this.#B(e);null!==t&&this.#A(t)}removeAllItems(){this.#j().innerHTML=""}unselectAllItems(){this.#n()}}customElements.define("editable-list",e)}();
\ No newline at end of file
+!function(){class t extends HTMLElement{static observedAttributes=["add-item-text","name","form-encoding","required","min-items","max-items","min-length","max-length","pattern","items","reflect","selection-mode","filterable","sortable","sorted","virtual","lang","disabled","readonly","no-add","no-edit","no-remove","no-reorder"];static formAssociated=!0;static#t=["value","validator","itemRenderer","storageAdapter","source","icons","itemActions","locale","strings","suggestions","suggest","filter","disabled","readOnly","selectedIndices"];static#e=new Set;static#i=0;static#s=100;static#n=1;static#r=300;static#o={local:{load:async t=>{const e=localStorage.getItem(t);return null===e?null:JSON.parse(e)},save:async(t,e)=>localStorage.setItem(t,JSON.stringify(e))},indexeddb:{load:e=>t.#a("readonly",t=>t.get(e)).then(t=>t??null),save:(e,i)=>t.#a("readwrite",t=>t.put(i,e))}};static#l={up:'<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="m5 9 1.41 1.41L11 5.83V22h2V5.83l4.59 4.59L19 9l-7-7-7 7z"></path></svg>',down:'<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="m19 15-1.41-1.41L13 18.17V2h-2v16.17l-4.59-4.59L5 15l7 7 7-7z"></path></svg>',remove:'<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"></path></svg>',add:'<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"></path></svg>',drag:'<svg version="1.1" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24"><path d="M11 18c0 1.1-.9 2-2 2s-2-.9-2-2 .9-2 2-2 2 .9 2 2zm-2-8c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0-6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm6 4c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"></path></svg>'};static#d="\n\t\t\t--_background: var(--editable-list-background, #1e1e1e);\n\t\t\t--_color: var(--editable-list-color, #e8e8e8);\n\t\t\t--_border-color: var(--editable-list-border-color, #bbb);\n\t\t\t--_border-color-inactive: var(--editable-list-border-color-inactive, #555);\n\t\t\t--_input-background: var(--editable-list-input-background, #2a2a2a);\n\t\t\t--_input-border-color: var(--editable-list-input-border-color, #666);\n\t\t\t--_muted-color: var(--editable-list-muted-color, #aaa);\n\t\t\t--_icon-color: var(--editable-list-icon-color, #ddd);\n\t\t\t--_handle-color: var(--editable-list-handle-color, #888);\n\t\t\t--_hover-background: var(--editable-list-hover-background, #333);\n\t\t\t--_selected-background: var(--editable-list-selected-background, #2a2a2a);\n\t\t\t--_highlight-background: var(--editable-list-highlight-background, #6b5d00);\n\t\t\t--_error-color: var(--editable-list-error-color, #ff6b81);\n\t\t\t--_button-hover-background: rgba(255,255,255,0.15);\n\t\t\tcolor-scheme: dark;\n\t\t";static#h={items:"Items",addItemText:"",add:"Add",addLabel:"Add new item",moveUp:"Move up",moveDown:"Move down",remove:"Remove",moveItemUp:"Move '{value}' up",moveItemDown:"Move '{value}' down",removeItem:"Remove '{value}'",itemAction:"{label} '{value}'",moveSelectedUp:"Move selected up",moveSelectedUpLabel:"Move selected items up",moveSelectedDown:"Move selected down",moveSelectedDownLabel:"Move selected items down",removeSelected:"Remove selected",removeSelectedLabel:"Remove selected items",selectedCount:"{count} selected",filter:"Filter items",noMatches:"No matching items",filterResults:{one:"{shown} of {count} item shown",other:"{shown} of {count} items shown"},sortAscending:"A→Z",sortAscendingLabel:"Sort A to Z",sortDescending:"Z→A",sortDescendingLabel:"Sort Z to A",sortedAscending:"Sorted from A to Z",sortedDescending:"Sorted from Z to A",added:"Added '{value}'",changed:"Changed '{previous}' to '{value}'",removed:"Removed '{value}'",moved:"Moved '{value}' to position {position} of {count}",removedCount:{one:"Removed {count} item",other:"Removed {count} items"},movedUpCount:{one:"Moved {count} item up",other:"Moved {count} items up"},movedDownCount:{one:"Moved {count} item down",other:"Moved {count} items down"},copiedCount:{one:"Copied {count} item",other:"Copied {count} items"},importAdded:{one:"Added {count} item",other:"Added {count} items"},importDuplicates:{one:"skipped {count} duplicate",other:"skipped {count} duplicates"},importRejected:{one:"rejected {count} invalid item",other:"rejected {count} invalid items"},undone:"Undone",redone:"Redone",saveFailed:"Could not save '{value}'",orderSaveFailed:"Could not save the order of the items",duplicate:"This value already exists!",valueMissing:"Please add at least one item.",rangeUnderflow:{one:"Please add at least {count} item.",other:"Please add at least {count} items."},rangeOverflow:{one:"No more than {count} item is allowed.",other:"No more than {count} items are allowed."},tooShort:{one:"Please use at least {count} character.",other:"Please use at least {count} characters."},tooLong:{one:"Please use no more than {count} character.",other:"Please use no more than {count} characters."},patternMismatch:"Please match the requested format.",suggestionMismatch:"Please choose one of the suggestions.",customError:"Please enter a valid value."};#c;#u=[];#_=!1;#m=null;#p=null;#g=null;#v=[];#b=[];#f=null;#w=!1;#y=null;#I=null;#x=[];#S=!1;#A=new Map;#L=null;#E=new Set;#k=null;#R=null;#C=null;#q=!1;#M=null;#T=null;#D=new Map;#F=null;#O=null;#V=new Set;#z=0;#P=-1;#K="";#N="";#H=new WeakMap;#U=new Map;#j=0;#B=!1;#$=0;#G={};#Y=[];#J=null;#X=null;#W=null;#Q={};#Z=null;#tt=!1;constructor(){super(),this.#c=this.attachInternals(),t.#t.forEach(t=>{if(!Object.prototype.hasOwnProperty.call(this,t))return;const e=this[t];delete this[t],this[t]=e})}#et(){if(this.shadowRoot)return;const e=this.attachShadow({mode:"open"}),i=document.createElement("div"),s=this.#y||this.#it()||this.#st();this.#y=null,this.#x=s.map(t=>null!==t&&"object"==typeof t?{...t}:t),i.classList.add("editable-list","defocused"),i.setAttribute("part","container"),i.innerHTML=`\n\t\t\t\t<style>\n\t\t\t\t\t/* the public --editable-list-* properties override the presets of the theme and density attributes */\n\t\t\t\t\t:host {\n\t\t\t\t\t\t--_background: var(--editable-list-background, #fff);\n\t\t\t\t\t\t--_color: var(--editable-list-color);\n\t\t\t\t\t\t--_border-color: var(--editable-list-border-color, #444);\n\t\t\t\t\t\t--_border-color-inactive: var(--editable-list-border-color-inactive, silver);\n\t\t\t\t\t\t--_input-background: var(--editable-list-input-background, #fff);\n\t\t\t\t\t\t--_input-border-color: var(--editable-list-input-border-color, #bbb);\n\t\t\t\t\t\t--_muted-color: var(--editable-list-muted-color, #666);\n\t\t\t\t\t\t--_icon-color: var(--editable-list-icon-color, #444);\n\t\t\t\t\t\t--_handle-color: var(--editable-list-handle-color, #999);\n\t\t\t\t\t\t--_hover-background: var(--editable-list-hover-background, #eee);\n\t\t\t\t\t\t--_selected-background: var(--editable-list-selected-background, #f8f8f8);\n\t\t\t\t\t\t--_highlight-background: var(--editable-list-highlight-background, #fff3a0);\n\t\t\t\t\t\t--_error-color: var(--editable-list-error-color, #b00020);\n\t\t\t\t\t\t--_button-hover-background: rgba(0,0,0,0.1);\n\t\t\t\t\t\t--_radius: var(--editable-list-radius, 4px);\n\t\t\t\t\t\t--_padding: var(--editable-list-padding, 12px);\n\t\t\t\t\t\t--_row-height: var(--editable-list-row-height, 36px);\n\t\t\t\t\t\t--_row-padding: var(--editable-list-row-padding, 8px);\n\t\t\t\t\t\t--_font-size: var(--editable-list-font-size, 14px);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t:host([theme="dark"]) {\n\t\t\t\t\t\t${t.#d}\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t@media (prefers-color-scheme: dark) {\n\t\t\t\t\t\t:host([theme="auto"]) {\n\t\t\t\t\t\t\t${t.#d}\n\t\t\t\t\t\t}\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t:host([density="compact"]) {\n\t\t\t\t\t\t--_padding: var(--editable-list-padding, 8px);\n\t\t\t\t\t\t--_row-height: var(--editable-list-row-height, 28px);\n\t\t\t\t\t\t--_row-padding: var(--editable-list-row-padding, 6px);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t:host([density="comfortable"]) {\n\t\t\t\t\t\t--_padding: var(--editable-list-padding, 16px);\n\t\t\t\t\t\t--_row-height: var(--editable-list-row-height, 44px);\n\t\t\t\t\t\t--_row-padding: var(--editable-list-row-padding, 12px);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t/* without --editable-list-color or --editable-list-font-family, the list inherits the color and font of the page */\n\t\t\t\t\t.editable-list {\n\t\t\t\t\t\tposition: relative;\n\t\t\t\t\t\tbackground: var(--_background);\n\t\t\t\t\t\tcolor: var(--_color);\n\t\t\t\t\t\tfont-family: var(--editable-list-font-family);\n\t\t\t\t\t\tborder: 1px solid var(--_border-color);\n\t\t\t\t\t\tborder-radius: var(--_radius);\n\t\t\t\t\t\tpadding: var(--_padding);\n\t\t\t\t\t\tmin-width: var(--editable-list-min-width, 300px);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.defocused {\n\t\t\t\t\t\tborder: 1px solid var(--_border-color-inactive);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t/* the disabled class of earlier versions only blocks the pointer */\n\t\t\t\t\t:host(.disabled) {\n\t\t\t\t\t\tpointer-events: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.disabled {\n\t\t\t\t\t\topacity: 0.6;\n\t\t\t\t\t\tpointer-events: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tul {\n\t\t\t\t\t\tpadding: 0;\n\t\t\t\t\t\tmargin: 0;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.item-list {\n\t\t\t\t\t\tmax-height: var(--editable-list-max-height, none);\n\t\t\t\t\t\toverflow-y: auto;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.item-list li[hidden] {\n\t\t\t\t\t\tdisplay: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.virtual .item-list {\n\t\t\t\t\t\tposition: relative;\n\t\t\t\t\t\tmax-height: var(--editable-list-max-height, 400px);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.virtual .item-list > li {\n\t\t\t\t\t\tposition: absolute;\n\t\t\t\t\t\tleft: 0;\n\t\t\t\t\t\tright: 0;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.list-header {\n\t\t\t\t\t\tmargin-bottom: 8px;\n\t\t\t\t\t\tpadding-block: 0;\n\t\t\t\t\t\tpadding-inline: 2px 8px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.filter-bar {\n\t\t\t\t\t\tflex-grow: 1;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.list-header[hidden], .filter-bar[hidden], .sort-toolbar[hidden], .no-matches[hidden], .empty-state[hidden] {\n\t\t\t\t\t\tdisplay: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.sort-toolbar {\n\t\t\t\t\t\tmargin-inline-start: auto;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.sort-toolbar button {\n\t\t\t\t\t\tmargin-inline-start: 4px;\n\t\t\t\t\t\tpadding: 5px 8px;\n\t\t\t\t\t\tborder: 1px solid var(--_input-border-color);\n\t\t\t\t\t\tborder-radius: var(--_radius);\n\t\t\t\t\t\tbackground: var(--_input-background);\n\t\t\t\t\t\tcolor: inherit;\n\t\t\t\t\t\tfont-size: 13px;\n\t\t\t\t\t\tfont-family: inherit;\n\t\t\t\t\t\tcursor: pointer;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.sorted .editable-list-up-item, .editable-list.sorted .editable-list-down-item,\n\t\t\t\t\t.editable-list.sorted .editable-list-up-selected, .editable-list.sorted .editable-list-down-selected,\n\t\t\t\t\t.editable-list.sorted .drag-handle, .editable-list.virtual .drag-handle {\n\t\t\t\t\t\tdisplay: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.filter-input {\n\t\t\t\t\t\tflex-grow: 1;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.no-matches, .empty-state {\n\t\t\t\t\t\tpadding: 8px 10px;\n\t\t\t\t\t\tcolor: var(--_muted-color);\n\t\t\t\t\t\tfont-size: 13px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tmark {\n\t\t\t\t\t\tbackground: var(--_highlight-background);\n\t\t\t\t\t\tcolor: inherit;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli {\n\t\t\t\t\t\theight: var(--_row-height);\n\t\t\t\t\t\tpadding: 0 var(--_row-padding);\n\t\t\t\t\t\tcursor: default;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli:focus {\n\t\t\t\t\t\toutline: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli:focus-visible {\n\t\t\t\t\t\toutline: 1px dotted var(--_border-color);\n\t\t\t\t\t\toutline-offset: -1px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list:not(.defocused) li.selected {\n\t\t\t\t\t\tbackground: var(--_selected-background);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli, div > div {\n\t\t\t\t\t\tdisplay: flex;\n\t\t\t\t\t\talign-items: center;\n\t\t\t\t\t\tjustify-content: space-between;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list:not(.defocused) li:hover {\n\t\t\t\t\t\tbackground: var(--_hover-background);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.item-wrapper {\n\t\t\t\t\t\tdisplay: flex;\n\t\t\t\t\t\tflex-grow: 1;\n\t\t\t\t\t\tpadding-inline: 2px 8px;\n\t\t\t\t\t\talign-items: baseline;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.drag-handle {\n\t\t\t\t\t\tdisplay: flex;\n\t\t\t\t\t\tpadding-inline-end: 4px;\n\t\t\t\t\t\tcursor: grab;\n\t\t\t\t\t\tfill: var(--_handle-color);\n\t\t\t\t\t\ttouch-action: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.drag-handle svg {\n\t\t\t\t\t\twidth: 16px;\n\t\t\t\t\t\theight: 16px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli.dragging {\n\t\t\t\t\t\tposition: fixed;\n\t\t\t\t\t\tz-index: 1;\n\t\t\t\t\t\tbox-sizing: border-box;\n\t\t\t\t\t\tbackground: var(--_background);\n\t\t\t\t\t\tbox-shadow: 0 2px 8px rgba(0,0,0,0.25);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.filtered .drag-handle, .editable-list.no-reorder .drag-handle, li.locked .drag-handle {\n\t\t\t\t\t\tvisibility: hidden;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli.dragging .drag-handle {\n\t\t\t\t\t\tcursor: grabbing;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli.pending {\n\t\t\t\t\t\topacity: 0.6;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli.sync-error .item-wrapper {\n\t\t\t\t\t\tcolor: var(--_error-color);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.loading .item-list {\n\t\t\t\t\t\topacity: 0.6;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli.drop-placeholder {\n\t\t\t\t\t\tbox-sizing: border-box;\n\t\t\t\t\t\tborder: 1px dashed var(--_input-border-color);\n\t\t\t\t\t\tbackground: var(--_selected-background);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.toolbar {\n\t\t\t\t\t\tdisplay: flex;\n\t\t\t\t\t\tgap: 6px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\tli:not(.selected) .toolbar, .editable-list.defocused .toolbar,\n\t\t\t\t\t.editable-list.multiple-selected li .toolbar {\n\t\t\t\t\t\topacity: 0;\n\t\t\t\t\t\tpointer-events: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.selection-none:not(.defocused) li:is(:hover, :focus-within) .toolbar,\n\t\t\t\t\t.editable-list li .toolbar:focus-within {\n\t\t\t\t\t\topacity: 1;\n\t\t\t\t\t\tpointer-events: auto;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.selection-toolbar {\n\t\t\t\t\t\tmargin-top: 8px;\n\t\t\t\t\t\tpadding-block: 0;\n\t\t\t\t\t\tpadding-inline: 2px 8px;\n\t\t\t\t\t\tcolor: var(--_muted-color);\n\t\t\t\t\t\tfont-size: 13px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.selection-toolbar[hidden], .new-list-item[hidden], .toolbar button[hidden] {\n\t\t\t\t\t\tdisplay: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.toolbar button {\n\t\t\t\t\t\tposition: relative;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.toolbar button:hover:before {\n\t\t\t\t\t\tcontent: ' ';\n\t\t\t\t\t\tposition: absolute;\n\t\t\t\t\t\twidth: 24px;\n\t\t\t\t\t\theight: 24px;\n\t\t\t\t\t\tbackground: var(--_button-hover-background);\n\t\t\t\t\t\tinset-inline-start: -4px;\n\t\t\t\t\t\ttop: -4px;\n\t\t\t\t\t\tborder-radius: 50%;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.icon {\n\t\t\t\t\t\tbackground-color: transparent;\n\t\t\t\t\t\tborder: none;\n\t\t\t\t\t\tcursor: pointer;\n\t\t\t\t\t\tfont-size: 0;\n\t\t\t\t\t\tfill: var(--_icon-color);\n\t\t\t\t\t\tpadding: 0;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.icon svg {\n\t\t\t\t\t\twidth: 16px;\n\t\t\t\t\t\theight: 16px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.item-actions {\n\t\t\t\t\t\tdisplay: contents;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list-item-action:not(.icon) {\n\t\t\t\t\t\tpadding: 0 4px;\n\t\t\t\t\t\tborder: none;\n\t\t\t\t\t\tbackground: transparent;\n\t\t\t\t\t\tcolor: inherit;\n\t\t\t\t\t\tfont-size: 12px;\n\t\t\t\t\t\tfont-family: inherit;\n\t\t\t\t\t\tcursor: pointer;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list-item-action:not(.icon):hover:before {\n\t\t\t\t\t\twidth: auto;\n\t\t\t\t\t\theight: auto;\n\t\t\t\t\t\tinset: -2px 0;\n\t\t\t\t\t\tborder-radius: var(--_radius);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.new-list-item {\n\t\t\t\t\t\tmargin-top: 16px;\n\t\t\t\t\t\tpadding-block: 0;\n\t\t\t\t\t\tpadding-inline: 2px 8px;\n\t\t\t\t\t}\n\n\t\t\t\t\t.add-new-list-item-input, .edit-list-item-input, .filter-input {\n\t\t\t\t\t\tpadding: 6px 8px;\n\t\t\t\t\t\tborder-radius: var(--_radius);\n\t\t\t\t\t\tborder: 1px solid var(--_input-border-color);\n\t\t\t\t\t\tbackground: var(--_input-background);\n\t\t\t\t\t\tcolor: inherit;\n\t\t\t\t\t\tfont-size: var(--_font-size);\n\t\t\t\t\t\tfont-family: inherit;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.editable-list.defocused .add-new-list-item-input {\n\t\t\t\t\t\tborder: 1px solid transparent;\n\t\t\t\t\t\topacity: 0.5;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.edit-list-item-input {\n\t\t\t\t\t\tmargin-inline-start: -8px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.error-message {\n\t\t\t\t\t\tmargin-top: 6px;\n\t\t\t\t\t\tpadding: 0 2px;\n\t\t\t\t\t\tcolor: var(--_error-color);\n\t\t\t\t\t\tfont-size: 13px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.error-message[hidden] {\n\t\t\t\t\t\tdisplay: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.import-summary {\n\t\t\t\t\t\tmargin-top: 6px;\n\t\t\t\t\t\tpadding: 0 2px;\n\t\t\t\t\t\tcolor: var(--_muted-color);\n\t\t\t\t\t\tfont-size: 13px;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.import-summary[hidden] {\n\t\t\t\t\t\tdisplay: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.suggestions {\n\t\t\t\t\t\tposition: absolute;\n\t\t\t\t\t\tz-index: 2;\n\t\t\t\t\t\tmax-height: 200px;\n\t\t\t\t\t\toverflow-y: auto;\n\t\t\t\t\t\tmargin: 2px 0 0;\n\t\t\t\t\t\tpadding: 4px 0;\n\t\t\t\t\t\tbox-sizing: border-box;\n\t\t\t\t\t\tbackground: var(--_background);\n\t\t\t\t\t\tborder: 1px solid var(--_input-border-color);\n\t\t\t\t\t\tborder-radius: var(--_radius);\n\t\t\t\t\t\tbox-shadow: 0 2px 8px rgba(0,0,0,0.15);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.suggestions[hidden] {\n\t\t\t\t\t\tdisplay: none;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.suggestions li {\n\t\t\t\t\t\theight: 30px;\n\t\t\t\t\t\tcursor: pointer;\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.suggestions li.active {\n\t\t\t\t\t\tbackground: var(--_hover-background);\n\t\t\t\t\t}\n\t\t\t\t\t\n\t\t\t\t\t.live-region {\n\t\t\t\t\t\tposition: absolute;\n\t\t\t\t\t\twidth: 1px;\n\t\t\t\t\t\theight: 1px;\n\t\t\t\t\t\toverflow: hidden;\n\t\t\t\t\t\tclip-path: inset(50%);\n\t\t\t\t\t\twhite-space: nowrap;\n\t\t\t\t\t}\n\t\t\t\t</style>\n\t\t\t\t<slot name="header"></slot>\n\t\t\t\t<div class="list-header" hidden>\n\t\t\t\t\t<div class="filter-bar" part="filter-bar" hidden>\n\t\t\t\t\t\t<input class="filter-input" type="search" part="input filter-input" data-string-placeholder="filter" data-string-label="filter">\n\t\t\t\t\t</div>\n\t\t\t\t\t<div class="sort-toolbar" part="sort-toolbar" hidden>\n\t\t\t\t\t\t<button class="editable-list-sort-asc" part="button sort-button" data-string="sortAscending" data-string-title="sortAscendingLabel" data-string-label="sortAscendingLabel"></button>\n\t\t\t\t\t\t<button class="editable-list-sort-desc" part="button sort-button" data-string="sortDescending" data-string-title="sortDescendingLabel" data-string-label="sortDescendingLabel"></button>\n\t\t\t\t\t</div>\n\t\t\t\t</div>\n\t\t\t\t<ul class="item-list" role="listbox" part="list"></ul>\n\t\t\t\t<div class="no-matches" part="no-matches" data-string="noMatches" hidden></div>\n\t\t\t\t<div class="empty-state" part="empty-state" hidden><slot name="empty"></slot></div>\n\t\t\t\t<div class="selection-toolbar" part="selection-toolbar" hidden>\n\t\t\t\t\t<span class="selection-count"></span>\n\t\t\t\t\t<div class="toolbar">\n\t\t\t\t\t\t<button class="editable-list-up-selected icon" part="button move-up-button" data-icon="up" data-string-title="moveSelectedUp" data-string-label="moveSelectedUpLabel"></button>\n\t\t\t\t\t\t<button class="editable-list-down-selected icon" part="button move-down-button" data-icon="down" data-string-title="moveSelectedDown" data-string-label="moveSelectedDownLabel"></button>\n\t\t\t\t\t\t<button class="editable-list-remove-selected icon" part="button remove-button" data-icon="remove" data-string-title="removeSelected" data-string-label="removeSelectedLabel"></button>\n\t\t\t\t\t</div>\n\t\t\t\t</div>\n\t\t\t\t<div class="new-list-item" part="new-item">\n\t\t\t\t\t<input class="add-new-list-item-input" type="text" aria-describedby="error-message" part="input add-input">\n\t\t\t\t\t<div class="toolbar">\n\t\t\t\t\t\t<slot name="add-button"><button class="editable-list-add-item icon" part="button add-button" data-icon="add" data-string-title="add" data-string-label="addLabel"></button></slot>\n\t\t\t\t\t</div>\n\t\t\t\t</div>\n\t\t\t\t<div class="error-message" id="error-message" part="error-message" hidden></div>\n\t\t\t\t<div class="import-summary" part="import-summary" hidden></div>\n\t\t\t\t<slot name="footer"></slot>\n\t\t\t\t<div class="live-region" role="status" aria-live="polite"></div>\n\t\t\t\t<ul class="suggestions" id="suggestions" role="listbox" part="suggestions" hidden></ul>\n\t\t\t`,i.querySelector(".item-list").setAttribute("aria-label",this.getAttribute("aria-label")||this.#nt("items")),i.querySelector(".add-new-list-item-input").setAttribute("placeholder",this.getAttribute("add-item-text")||this.#nt("addItemText")),i.querySelector(".filter-input").value=this.#K,i.classList.toggle("filtered",""!==this.#N),this.#rt(i),this.#ot(i),e.appendChild(i);const n=s.map(t=>this.#at(t)),r=this.#lt();r&&n.sort(r),n.forEach(t=>this.#dt(t,this.#u.length)),this.#ht(),this.#ct(),this.#ut(),this.#_t(),this.#mt(),this.#pt(),this.#gt(),this.#I&&(this.select(this.#I),this.#I=null),this.#vt(),this.#L=new MutationObserver(this.#bt.bind(this)),this.#L.observe(this,{attributes:!0})}#vt(){const t=this.shadowRoot.querySelector(".editable-list"),e=this.shadowRoot.querySelector(".new-list-item"),i=this.shadowRoot.querySelector(".add-new-list-item-input"),s=this.shadowRoot.querySelector('slot[name="add-button"]');t.addEventListener("click",this.#ft.bind(this),!0),t.addEventListener("focusin",this.#ft.bind(this),!1),t.addEventListener("keydown",this.#wt.bind(this),!1),this.#yt().addEventListener("keydown",this.#It.bind(this),!1),this.#yt().addEventListener("scroll",this.#xt.bind(this),!1),this.#yt().addEventListener("pointerdown",this.#St.bind(this),!1),this.#yt().addEventListener("pointermove",this.#At.bind(this),!1),this.#yt().addEventListener("pointerup",this.#Lt.bind(this),!1),this.#yt().addEventListener("pointercancel",this.#Lt.bind(this),!1),this.#yt().addEventListener("copy",this.#Et.bind(this),!1),this.#yt().addEventListener("paste",this.#kt.bind(this),!1),e.addEventListener("click",this.#Rt.bind(this),!0),i.addEventListener("keypress",this.#Ct.bind(this),!1),i.addEventListener("input",this.#qt.bind(this,""),!1),i.addEventListener("input",this.#Mt.bind(this,null),!1),i.addEventListener("paste",this.#kt.bind(this),!1),this.shadowRoot.querySelector(".filter-input").addEventListener("input",this.#Tt.bind(this),!1),this.shadowRoot.querySelector(".filter-input").addEventListener("keydown",this.#Dt.bind(this),!1),this.shadowRoot.querySelector(".editable-list-sort-asc").addEventListener("click",this.#Ft.bind(this,!1),!1),this.shadowRoot.querySelector(".editable-list-sort-desc").addEventListener("click",this.#Ft.bind(this,!0),!1),this.#Ot(i,null),s.addEventListener("click",this.#Ct.bind(this),!1),this.shadowRoot.querySelector('slot[name="empty"]').addEventListener("slotchange",this.#Vt.bind(this),!1),this.shadowRoot.querySelector(".editable-list-up-selected").addEventListener("click",this.#zt.bind(this,-1),!1),this.shadowRoot.querySelector(".editable-list-down-selected").addEventListener("click",this.#zt.bind(this,1),!1),this.shadowRoot.querySelector(".editable-list-remove-selected").addEventListener("click",this.#Pt.bind(this),!1)}#Kt(t){return new CustomEvent("change",{bubbles:!0,cancelable:!1,composed:!0,detail:t})}#Nt(t){if(0===t.length)return;const e=this.items();t.forEach(t=>this.dispatchEvent(this.#Kt({...t,items:e})))}#Ht(t,e){const i=new CustomEvent(`before-${t}`,{bubbles:!0,cancelable:!0,composed:!0,detail:e});return this.dispatchEvent(i)?i.detail:null}#kt(t){if(this._editing)return;const e=t.clipboardData?t.clipboardData.getData("text/plain"):"",i="INPUT"===t.target.tagName?2:1;this.#Ut(e).length<i||(t.preventDefault(),this.#qt(""),this.#Mt(this.#jt(e,{},"user")))}#Et(t){if(this._editing||!t.clipboardData)return;const e=this.#Bt(t.target),i=this.selectedIndices;0===i.length&&e&&i.push(this.#$t(e)),0!==i.length&&(t.preventDefault(),t.clipboardData.setData("text/plain",this.#Gt(i.map(t=>this.#u[t].value),"text")),this.#Yt(this.#nt("copiedCount",{count:i.length})))}#Jt(t){t.composedPath().includes(this)||this.shadowRoot.querySelector(".editable-list").classList.add("defocused")}#ft(t){this.shadowRoot.querySelector(".editable-list").classList.remove("defocused")}#Ct(t){if(t instanceof KeyboardEvent&&"Enter"===t.key||!(t instanceof KeyboardEvent)){const t=this.shadowRoot.querySelector(".add-new-list-item-input");if(""!==t.value.trim()){const[e]=this.#Xt([t.value],"user");if(!e.item)return this.#qt(e.error),void t.focus();this.#Yt(this.#nt("added",{value:e.item.value})),this.#Wt(e.item).click(),t.value=""}}}connectedCallback(){this.#et(),t.#e.add(this),this.#Qt();const e=this.#X;this.#X=null,e&&e!==this.locale&&this.#Zt(),this.#Z=new AbortController,document.addEventListener("click",this.#Jt.bind(this),{signal:this.#Z.signal}),this.#tt||(this.#tt=!0,this.#te(),this.#ee())}disconnectedCallback(){t.#e.delete(this),this.#Z.abort(),cancelAnimationFrame(this.#$),this.#$=0,this.#g&&this.#Lt({type:"pointercancel",pointerId:this.#g.pointerId}),null!==this.#M&&(clearTimeout(this.#M),this.#ie())}attributeChangedCallback(t,e,i){if(this.shadowRoot)if("add-item-text"===t&&this.shadowRoot.querySelector(".add-new-list-item-input").setAttribute("placeholder",i||this.#nt("addItemText")),"items"===t){const t=this.#it();!this.#S&&t&&this.#se(t)}else"reflect"===t?this.#ne():"selection-mode"===t?this.#ct():"filterable"===t||"sortable"===t?(this.#mt(),"filterable"===t&&null===i&&this.#K&&(this.filter="")):"virtual"===t?this.#Qt():"sorted"===t?(this.#mt(),null!==i&&this.#re(this.#lt(),"api",!0)):"lang"===t?this.#Zt():"disabled"===t?this.#ut():"readonly"===t||t.startsWith("no-")?this.#_t():"name"===t||"form-encoding"===t?this.#oe():"add-item-text"!==t&&this.#ae()}formResetCallback(){this.shadowRoot&&(this.#se(this.#x),this.#ht())}formDisabledCallback(t){this.#_=t,this.#ut()}#ut(){if(!this.shadowRoot)return;const t=this.#_||this.hasAttribute("disabled"),e=this.shadowRoot.querySelector(".editable-list");e.classList.toggle("disabled",t),e.inert=t,this.#yt().setAttribute("aria-disabled",t)}#le(t,e){return!this.hasAttribute("readonly")&&!this.hasAttribute(`no-${t}`)&&!(e&&e.locked&&"add"!==t)}#_t(){if(!this.shadowRoot)return;const t=this.shadowRoot.querySelector(".editable-list");t.classList.toggle("readonly",this.hasAttribute("readonly")),t.classList.toggle("no-reorder",!this.#le("reorder",null)),this.shadowRoot.querySelector(".new-list-item").hidden=!this.#le("add",null),this.#yt().setAttribute("aria-readonly",this.hasAttribute("readonly")),this.#le("edit",null)||this.#de(),this.#mt(),this.#pt()}formStateRestoreCallback(t){this.shadowRoot&&"string"==typeof t&&this.#se(JSON.parse(t))}#gt(){this.#oe(),this.#ae(),this.#ne(),this.#he(),this.#N&&this.#pt()}#ce(){return this.#C?this.#C:t.#o["indexeddb"===this.getAttribute("persist-storage")?"indexeddb":"local"]}async#te(){const e=this.getAttribute("persist-key");try{const i=e?await this.#ce().load(e):null;null!=i&&(this.#se(t.#ue(i).items),this.#v=[],this.#b=[],this.dispatchEvent(new CustomEvent("restore",{bubbles:!0,cancelable:!1,composed:!0,detail:{key:e,items:this.items()}}))),this.#q=!0}catch(t){this.#_e(t,"load",e)}}#he(){this.#q&&this.getAttribute("persist-key")&&(clearTimeout(this.#M),this.#M=setTimeout(this.#ie.bind(this),t.#r))}async#ie(){this.#M=null;const e=this.getAttribute("persist-key");if(e)try{await this.#ce().save(e,{version:t.#n,items:this.items({objects:!0})})}catch(t){this.#_e(t,"save",e)}}#_e(t,e,i){this.dispatchEvent(new CustomEvent("persist-error",{bubbles:!0,cancelable:!1,composed:!0,detail:{error:t,operation:e,key:i}}))}static#ue(e){if(Array.isArray(e))return{version:1,items:e.map(t=>({value:t}))};if(e&&e.version===t.#n&&Array.isArray(e.items))return e;throw new Error(`Unsupported snapshot version: ${e&&e.version}`)}static#a(t,e){return new Promise((i,s)=>{const n=indexedDB.open("editable-list",1);n.onupgradeneeded=()=>n.result.createObjectStore("lists"),n.onerror=()=>s(n.error),n.onsuccess=()=>{const r=n.result,o=r.transaction("lists",t),a=e(o.objectStore("lists"));o.oncomplete=()=>{r.close(),i(a.result)},o.onerror=()=>{r.close(),s(o.error)}}})}#se(t){this.#me(()=>{this.#pe("api",!0),this.#Xt(t,"api",!0)})}#ne(){this.hasAttribute("reflect")&&(this.#S=!0,this.setAttribute("items",JSON.stringify(this.items())),this.#S=!1)}#it(){const t=this.getAttribute("items");if(null===t)return null;try{const e=JSON.parse(t);return Array.isArray(e)?e:null}catch(t){return null}}#ht(){const t=new Map;[...this.attributes].forEach(e=>{if(e.name.includes("list-item")){const i=[...t.values()],s=this.#u.find(t=>t.value===e.value&&!i.includes(t.id));s&&t.set(e.name,s.id)}}),this.#A=t}#bt(t){t.forEach(t=>{const e=t.attributeName;if(!e.includes("list-item"))return;const i=this.getAttribute(e),s=this.indexOf(this.#A.get(e));if(null===i)this.#A.delete(e),s>=0&&this.removeItem(s);else if(s>=0)this.changeItem(s,i);else{const t=this.#u.length;this.addItems([i]),this.#u.length>t&&this.#A.set(e,this.#u[t].id)}})}#oe(){if(!this.shadowRoot)return;const t=this.items(),e=JSON.stringify(t),i=this.getAttribute("name");switch(this.getAttribute("form-encoding")){case"json":this.#c.setFormValue(e,e);break;case"csv":this.#c.setFormValue(t.map(t=>this.#ge(t)).join(","),e);break;default:{const s=new FormData;i&&t.forEach(t=>s.append(i,t)),this.#c.setFormValue(s,e)}}}#ae(){if(!this.shadowRoot)return;let t=this.#ve(0);const e=this.#be();for(let i=0;i<this.#u.length&&!t;i++)t=this.#fe(this.#u[i].value,this.#u[i],e);if(t){const e=t.message||this.#nt(t.flag),i=this.shadowRoot.querySelector(".add-new-list-item-input");this.#c.setValidity({[t.flag]:!0},e,i)}else this.#c.setValidity({})}#ve(t){const e=this.#u.length+t,i=this.#we("min-items"),s=this.#we("max-items");return null!==s&&e>s?{flag:"rangeOverflow",message:this.#nt("rangeOverflow",{count:s})}:t>0?null:this.hasAttribute("required")&&0===e?{flag:"valueMissing",message:this.#nt("valueMissing")}:null!==i&&e<i?{flag:"rangeUnderflow",message:this.#nt("rangeUnderflow",{count:i})}:null}#be(){return{minLength:this.#we("min-length"),maxLength:this.#we("max-length"),pattern:this.#ye(),items:this.#m?this.items():null}}#fe(t,e,i=this.#be()){const{minLength:s,maxLength:n,pattern:r}=i;if(null!==s&&t.length<s)return{flag:"tooShort",message:this.#nt("tooShort",{count:s})};if(null!==n&&t.length>n)return{flag:"tooLong",message:this.#nt("tooLong",{count:n})};if(r&&!r.test(t))return{flag:"patternMismatch",message:this.#nt("patternMismatch")};if("false"===this.getAttribute("allow-duplicates")&&this.#Ie(t,e)){return{flag:"customError",message:(this.getAttribute("duplicate-prompt")||this.#nt("duplicate")).trim()}}if(this.#m){const e=this.#m(t,i.items);if(!1===e)return{flag:"customError",message:this.#nt("customError")};if("string"==typeof e&&""!==e)return{flag:"customError",message:e}}return null}#xe(t){if(!this.hasAttribute("restrict-to-suggestions"))return null;return(this.#O?this.#V.has(t):(this.#F||[]).includes(t))?null:{flag:"customError",message:this.#nt("suggestionMismatch")}}#Ot(t,e){t.setAttribute("role","combobox"),t.setAttribute("aria-autocomplete","list"),t.setAttribute("aria-controls","suggestions"),t.setAttribute("aria-expanded","false"),t.addEventListener("input",this.#Se.bind(this,t,e,!1),!1),t.addEventListener("keydown",this.#Ae.bind(this,t,e),!1),t.addEventListener("blur",this.#Le.bind(this,t),!1)}async#Se(t,e,i){const s=++this.#z,n=t.value.trim();if(!this.#F&&!this.#O||""===n&&!i)return void this.#Le(t);let r;try{r=await this.#Ee(n)}catch(t){r=[]}if(s!==this.#z||this.shadowRoot.activeElement!==t)return;const o="false"===this.getAttribute("allow-duplicates");r=[...new Set(r)].filter(t=>!(o&&this.#Ie(t,e))),this.#ke(t,r)}async#Ee(t){if(this.#O){const e=(await this.#O(t)||[]).map(t=>String(t));return e.forEach(t=>this.#V.add(t)),e}const e=t.toLowerCase();return this.#F.filter(t=>t.toLowerCase().includes(e))}#ke(t,e){if(0===e.length)return void this.#Le(t);const i=this.shadowRoot.querySelector(".suggestions"),s=this.shadowRoot.querySelector(".editable-list");i.replaceChildren(...e.map((e,i)=>{const s=document.createElement("li");return s.id=`suggestion-${i}`,s.setAttribute("role","option"),s.setAttribute("part","suggestion"),s.setAttribute("aria-selected","false"),s.textContent=e,s._value=e,s.addEventListener("pointerdown",t=>t.preventDefault(),!1),s.addEventListener("click",this.#Re.bind(this,t,e),!1),s}));const n=t.getBoundingClientRect(),r=s.getBoundingClientRect();this.#Ce()?(i.style.left="",i.style.right=r.right-n.right-s.clientLeft+"px"):i.style.left=n.left-r.left-s.clientLeft+"px",i.style.top=n.bottom-r.top-s.clientTop+"px",i.style.minWidth=`${n.width}px`,i.hidden=!1,t.setAttribute("aria-expanded","true"),this.#qe(t,-1)}#Le(t){this.#z++,this.#P=-1,this.shadowRoot.querySelector(".suggestions").hidden=!0,t.setAttribute("aria-expanded","false"),t.removeAttribute("aria-activedescendant")}#qe(t,e){const i=[...this.shadowRoot.querySelector(".suggestions").children];this.#P=e,i.forEach((t,i)=>{t.classList.toggle("active",i===e),t.setAttribute("aria-selected",i===e)}),e<0?t.removeAttribute("aria-activedescendant"):(t.setAttribute("aria-activedescendant",i[e].id),i[e].scrollIntoView({block:"nearest"}))}#Ae(t,e,i){const s=this.shadowRoot.querySelector(".suggestions"),n=s.hidden?0:s.children.length;switch(i.key){case"ArrowDown":case"ArrowUp":if(0===n)return void("ArrowDown"===i.key&&this.#Se(t,e,!0));i.preventDefault(),this.#qe(t,(this.#P+("ArrowDown"===i.key?1:n-1)+(this.#P<0&&"ArrowUp"===i.key?1:0))%n);break;case"Enter":n>0&&this.#P>=0&&(t.value=s.children[this.#P]._value),this.#Le(t);break;case"Escape":if(0===n)return;i.preventDefault(),i.stopImmediatePropagation(),this.#Le(t)}}#Re(t,e){t.value=e,this.#Le(t),t.dispatchEvent(new KeyboardEvent("keypress",{key:"Enter"}))}#ye(){const t=this.getAttribute("pattern");if(null===t)return null;try{return new RegExp(`^(?:${t})$`,"u")}catch(t){return null}}#we(t){const e=parseInt(this.getAttribute(t),10);return isNaN(e)||e<0?null:e}#qt(t){const e=this.shadowRoot.querySelector(".error-message");e.textContent=t,e.hidden=!t,this.shadowRoot.querySelector(".add-new-list-item-input").setAttribute("aria-invalid",!!t),t&&this.#Yt(t)}#Mt(t){const e=this.shadowRoot.querySelector(".import-summary");if(e.hidden=!t,!t)return;const i=[this.#nt("importAdded",{count:t.added})];t.duplicates>0&&i.push(this.#nt("importDuplicates",{count:t.duplicates})),t.rejected>0&&i.push(this.#nt("importRejected",{count:t.rejected})),e.textContent=i.join(", "),this.#Yt(e.textContent)}#Yt(t){const e=this.shadowRoot.querySelector(".live-region");e.textContent=e.textContent===t?t+" ":t}#nt(e,i={}){let s=this.#Q[e]??t.#h[e];const n=this.locale;return null!==s&&"object"==typeof s&&(this.#W??=new Intl.PluralRules(n),s=s[this.#W.select(i.count??0)]??s.other),String(s??"").replace(/\{(\w+)\}/g,(t,e)=>e in i?"number"==typeof i[e]?i[e].toLocaleString(n):i[e]:t)}#ot(t){t.querySelectorAll("[data-string], [data-string-title], [data-string-label], [data-string-placeholder]").forEach(t=>{const{string:e,stringTitle:i,stringLabel:s,stringPlaceholder:n}=t.dataset;e&&(t.textContent=this.#nt(e)),i&&(t.title=this.#nt(i)),s&&t.setAttribute("aria-label",this.#nt(s)),n&&(t.placeholder=this.#nt(n))})}#Zt(){this.#X=null,this.#W=null,this.shadowRoot&&(this.#ot(this.shadowRoot),this.#u.forEach(t=>{const e=this.#H.get(t);e&&(this.#ot(e),this.#Me(e))}),this.#yt().setAttribute("aria-label",this.getAttribute("aria-label")||this.#nt("items")),this.shadowRoot.querySelector(".add-new-list-item-input").setAttribute("placeholder",this.getAttribute("add-item-text")||this.#nt("addItemText")),this.#Te(),this.#ae())}#Ce(){const t=(this.closest("[dir]")?.getAttribute("dir")||"").toLowerCase();return"rtl"===t||"auto"===t&&"rtl"===getComputedStyle(this).direction}#Gt(t,e){switch(e){case"json":return JSON.stringify(t);case"csv":return t.map(t=>this.#ge(t)).join("\r\n");case"text":return t.join("\n");default:throw new TypeError(`Unsupported format: ${e}`)}}#De(t,e){switch(e){case"json":{const e="string"==typeof t?JSON.parse(t):t;if(!Array.isArray(e))throw new TypeError("JSON data must be an array");return e}case"csv":return this.#Fe(String(t)).flat().filter(t=>""!==t.trim());case"text":return this.#Ut(String(t),"newline");default:throw new TypeError(`Unsupported format: ${e}`)}}#Fe(t){const e=[];let i=[],s="",n=!1;for(let r=0;r<t.length;r++){const o=t[r];n?'"'===o&&'"'===t[r+1]?(s+='"',r++):'"'===o?n=!1:s+=o:'"'===o?n=!0:","===o?(i.push(s),s=""):"\r"===o||"\n"===o?("\r"===o&&"\n"===t[r+1]&&r++,i.push(s),e.push(i),i=[],s=""):s+=o}return(""!==s||i.length>0)&&(i.push(s),e.push(i)),e}#ge(t){return/[",\r\n]/.test(t)?`"${t.replace(/"/g,'""')}"`:t}#st(){const t=[];return[...this.attributes].forEach(e=>{e.name.includes("list-item")&&t.push(e.value)}),t}#Oe(){return'\n\t\t\t\t<span class="drag-handle" aria-hidden="true" part="drag-handle" data-icon="drag"></span>\n\t\t\t\t<div class="item-wrapper" part="item-value"></div>\n\t\t\t\t<div class="toolbar" part="item-toolbar">\n\t\t\t\t\t<button class="editable-list-up-item icon" tabindex="-1" part="button move-up-button" data-icon="up" data-string-title="moveUp"></button>\n\t\t\t\t\t<button class="editable-list-down-item icon" tabindex="-1" part="button move-down-button" data-icon="down" data-string-title="moveDown"></button>\n\t\t\t\t\t<span class="item-actions"></span>\n\t\t\t\t\t<button class="editable-list-remove-item icon" tabindex="-1" part="button remove-button" data-icon="remove" data-string-title="remove"></button>\n\t\t\t\t</div>\n\t\t\t'}#at(e){const i=null!==e&&"object"==typeof e?e:{value:e};return{id:void 0!==i.id&&null!==i.id&&this.indexOf(i.id)<0?i.id:"item-"+ ++t.#i,value:String(i.value??""),data:i.data??null,...i.locked?{locked:!0}:{}}}#Ve(t){const e=document.createElement("li");return e.setAttribute("role","option"),e.setAttribute("aria-selected","false"),e.setAttribute("part","item"),e._item=t,e.innerHTML=this.#Oe(),this.#rt(e),this.#ot(e),this.#ze(e),e.querySelector(".item-actions").addEventListener("click",this.#Pe.bind(this),!1),this.#Ke([e]),this.#Ne([e.querySelector(".item-wrapper")],{up:[e.querySelector(".editable-list-up-item")],down:[e.querySelector(".editable-list-down-item")],remove:[e.querySelector(".editable-list-remove-item")]}),e}#He(t){let e=this.#H.get(t);return e||(e=this.#Ve(t),this.#H.set(t,e),this.#Ue(e)),e}#dt(t,e){const i=this.hasAttribute("virtual"),s=i?null:this.#je(e);this.#u.splice(e,0,t),this.#Be(t.value,1),i?this.#$e():this.#yt().insertBefore(this.#He(t),s)}#Ge(t,e){return this.#dt(t,e),this.#Ye({action:"add",index:e,item:t.value,id:t.id,data:t.data}),this.#pt(),this.#gt(),this.#je(e)}#Je(t,e){this.#Be(t.value,-1),t.value=e,this.#Be(e,1)}#Be(t,e){const i=(this.#U.get(t)||0)+e;i>0?this.#U.set(t,i):this.#U.delete(t)}#Qt(){const t=this.hasAttribute("virtual"),e=this.#yt();this.shadowRoot.querySelector(".editable-list").classList.toggle("virtual",t),this.#j=0,t?this.#Xe(null):(e.style.paddingTop="",this.#u.forEach(t=>{const i=this.#He(t);i.style.top=i.style.height="",i.removeAttribute("aria-posinset"),i.removeAttribute("aria-setsize"),i.isConnected||this.#Ue(i),e.appendChild(i)}),this.#pt())}#We(){const t=parseFloat(this.getAttribute("virtual"));return t>0?t:this.#j||36}#$e(){this.hasAttribute("virtual")&&!this.#B&&(this.#B=!0,queueMicrotask(()=>{this.#B&&this.#Xe(null)}))}#xt(){this.hasAttribute("virtual")&&!this.#$&&(this.#$=requestAnimationFrame(()=>{this.#$=0,this.#Xe(null)}))}#Xe(t){if(this.#B=!1,!this.hasAttribute("virtual")||!this.shadowRoot)return;const e=this.#yt(),i=this.#Qe(),s=this.#We(),n=Math.max(0,Math.floor(e.scrollTop/s)-5),r=Math.min(i.length,Math.ceil((e.scrollTop+e.clientHeight)/s)+5),o=i.slice(n,r).map((t,e)=>({item:t,row:n+e})),a=this.shadowRoot.activeElement?this.shadowRoot.activeElement.closest(".item-list > li"):null;new Set([a?a._item:null,t]).forEach(t=>{const e=t?i.indexOf(t):-1;e>=0&&(e<n||e>=r)&&o.push({item:t,row:e})}),o.sort((t,e)=>t.row-e.row),e.style.paddingTop=i.length*s+"px";const l=o.map(({item:t,row:e})=>{const n=this.#He(t);return n.style.top=e*s+"px",n.style.height=this.getAttribute("virtual")?`${s}px`:"",n.setAttribute("aria-posinset",e+1),n.setAttribute("aria-setsize",i.length),n}),d=new Set(l);[...e.children].forEach(t=>{d.has(t)||t.remove()}),l.forEach((t,i)=>{if(e.children[i]===t)return;const s=t.isConnected;e.insertBefore(t,e.children[i]||null),s||this.#Ue(t)}),this.#pt(),this.#j||parseFloat(this.getAttribute("virtual"))>0||!(l.length>0)||(this.#j=l[0].getBoundingClientRect().height,this.#j&&this.#j!==s&&this.#Xe(t))}#Wt(t){if(!t)return null;if(this.hasAttribute("virtual")){const e=this.#yt(),i=this.#We(),s=this.#Qe().indexOf(t);if(s<0)return this.#He(t);const n=s*i;n<e.scrollTop?e.scrollTop=n:n+i>e.scrollTop+e.clientHeight&&(e.scrollTop=n+i-e.clientHeight),this.#Xe(t)}return this.#He(t)}#Ue(t){const e=t.querySelector(".item-wrapper"),i={...t._item},s=this.querySelector(':scope > template[slot="item"]');if(this.#p){const s=this.#p(i,this.#$t(t));s instanceof Node?e.replaceChildren(s):e.textContent=s??i.value}else if(s){const t=s.content.cloneNode(!0);t.querySelectorAll("[data-field]").forEach(t=>{"value"===t.dataset.field?this.#Ze(t,i.value):t.textContent=this.#ti(i,t.dataset.field)}),e.replaceChildren(t)}else this.#Ze(e,i.value);t.hidden=!this.#ei(i.value),this.#Me(t),this.#ii(t)}#mt(){const t=this.shadowRoot.querySelector(".filter-bar"),e=this.shadowRoot.querySelector(".sort-toolbar"),i=this.hasAttribute("sorted");t.hidden=!this.hasAttribute("filterable"),e.hidden=!this.hasAttribute("sortable")||i||!this.#le("reorder",null),this.shadowRoot.querySelector(".list-header").hidden=t.hidden&&e.hidden,this.shadowRoot.querySelector(".editable-list").classList.toggle("sorted",i)}#Ft(t,e){e.stopPropagation(),!this.hasAttribute("sorted")&&this.#re(this.#si(t),"user")&&this.#Yt(this.#nt(t?"sortedDescending":"sortedAscending"))}#si(t){const e=new Intl.Collator(this.locale,{numeric:!0,sensitivity:"base"});return(i,s)=>e.compare(i.value,s.value)*(t?-1:1)}#lt(){return this.hasAttribute("sorted")?this.#si("desc"===this.getAttribute("sorted")):null}#ni(t,e,i){const s=this.#lt();return s?this.#u.filter(e=>e!==i&&s(e,{value:t})<=0).length:e}#re(t,e,i=!1){const s=this.#u.map((t,e)=>e);return s.sort((e,i)=>t(this.#u[e],this.#u[i])||e-i),this.#ri(s,e,i)}#ri(t,e,i=!1){if(this._editing||t.every((t,e)=>t===e))return!1;const s=t.map(t=>this.#u[t]);return!(!i&&s.some((e,i)=>t[i]!==i&&!this.#le("reorder",e)))&&(!(!i&&s.some((i,s)=>t[s]!==s&&!this.#Ht("move",{fromIndex:t[s],toIndex:s,id:i.id,value:i.value,source:e})))&&(this.#oi(t),this.#Nt([{action:"sort",bulk:!0,fromIndices:t,toIndices:t.map((t,e)=>e),ids:s.map(t=>t.id),values:s.map(t=>t.value),source:e}]),!0))}#Tt(t){this.#ai(t.target.value),this.#N&&this.#Yt(this.#nt("filterResults",{shown:this.#Qe().length,count:this.#u.length}))}#Dt(t){"Escape"===t.key&&""!==t.target.value&&(t.preventDefault(),t.target.value="",this.#ai(""))}#ai(t){this.#K=t,this.#N=this.#li(t.trim()),this.shadowRoot.querySelector(".editable-list").classList.toggle("filtered",""!==this.#N),[...this.#yt().children].filter(t=>t._item).forEach(t=>this.#Ue(t));const e=this.#u.filter(t=>this.#E.has(t.id)&&this.#ei(t.value));this.#di(e.map(t=>t.id)),this.#pt(),this.#$e()}#li(t){return t.normalize("NFD").replace(/[\u0300-\u036f]/g,"").toLowerCase()}#ei(t){return!this.#N||this.#li(t).includes(this.#N)}#hi(t){if(!this.#N)return[];let e="";const i=[],s=[];for(let n=0;n<t.length;){const r=String.fromCodePoint(t.codePointAt(n)),o=this.#li(r);for(let t=0;t<o.length;t++)i.push(n),s.push(n+r.length);e+=o,n+=r.length}const n=[];let r=e.indexOf(this.#N);for(;r>=0;){const t=r+this.#N.length;n.push([i[r],s[t-1]]),r=e.indexOf(this.#N,t)}return n}#Ze(t,e){const i=this.#hi(e);if(0===i.length)return void(t.textContent=e);const s=[];let n=0;i.forEach(([t,i])=>{const r=document.createElement("mark");r.setAttribute("part","match"),r.textContent=e.slice(t,i),s.push(e.slice(n,t),r),n=i}),s.push(e.slice(n)),t.replaceChildren(...s)}#Qe(){return this.#N?this.#u.filter(t=>this.#ei(t.value)):this.#u}#ci(t,e){const i=this.#Qe(),s=i.indexOf(t._item);return s<0?null:this.#Wt(i[s+e])}#ui(t,e){if(!this.#N)return!1;const i=new Set(t.map(t=>this.#u[t].id));return t.some(t=>{const s=this.#u[t+e];return s&&!i.has(s.id)&&!this.#ei(s.value)})}#ii(t){const e=this.#D.get(t._item.id)||{pending:0,error:!1};t.classList.toggle("pending",e.pending>0),t.classList.toggle("sync-error",e.error),t.setAttribute("aria-busy",e.pending>0),e.error?t.setAttribute("aria-invalid","true"):t.removeAttribute("aria-invalid")}#ti(t,e){return e.split(".").reduce((t,e)=>null==t?void 0:t[e],t)??""}#pt(){const t=[...this.#yt().children].filter(t=>t._item),e=this.hasAttribute("virtual"),i=this.#u.length;t.forEach((t,s)=>{const n=e?this.#$t(t):s,r=this.#le("reorder",t._item),o=0==n||!r||this.#ui([n],-1),a=n==i-1||!r||this.#ui([n],1),l=t.querySelector(".editable-list-up-item"),d=t.querySelector(".editable-list-down-item");l.style.visibility=o?"hidden":"visible",l.setAttribute("aria-disabled",o),d.style.visibility=a?"hidden":"visible",d.setAttribute("aria-disabled",a),t.querySelector(".editable-list-remove-item").hidden=!this.#le("remove",t._item),t.classList.toggle("locked",!!t._item.locked),this.#Me(t)}),this.shadowRoot.querySelector(".no-matches").hidden=!this.#N||this.#u.some(t=>this.#ei(t.value)),this.#Vt(),this.#_i()}#Vt(){const t=this.shadowRoot.querySelector('slot[name="empty"]');t.parentElement.hidden=this.#u.length>0||0===t.assignedNodes().length}#rt(e){e.querySelectorAll("[data-icon]").forEach(e=>{const i=this.#G[e.dataset.icon]??t.#l[e.dataset.icon]??"";i instanceof Node?e.replaceChildren(i.cloneNode(!0)):e.innerHTML=i})}#ze(t){const e=t.querySelector(".item-actions"),i=this.querySelector(':scope > template[slot="item-actions"]');i?e.replaceChildren(i.content.cloneNode(!0)):e.replaceChildren(),this.#Y.forEach(({action:t,label:i,icon:s})=>{const n=document.createElement("button");n.className="editable-list-item-action",n.title=i,n.dataset.action=t,n.setAttribute("part","button action-button"),s?(n.classList.add("icon"),s instanceof Node?n.replaceChildren(s.cloneNode(!0)):n.innerHTML=s):n.textContent=i,e.appendChild(n)}),e.querySelectorAll("[data-action]").forEach(t=>t.tabIndex=-1)}#Pe(t){const e=t.target.closest("[data-action]");if(!e)return;const i=this.#Bt(e);this.dispatchEvent(new CustomEvent("item-action",{bubbles:!0,composed:!0,detail:{action:e.dataset.action,index:this.#$t(i),id:i._item.id,item:i._item.value}}))}#Me(t){const e=t._item.value;t.querySelector(".editable-list-up-item").setAttribute("aria-label",this.#nt("moveItemUp",{value:e})),t.querySelector(".editable-list-down-item").setAttribute("aria-label",this.#nt("moveItemDown",{value:e})),t.querySelector(".editable-list-remove-item").setAttribute("aria-label",this.#nt("removeItem",{value:e})),t.querySelectorAll(".item-actions [data-action]").forEach(t=>{const i=t.title||t.textContent.trim()||t.dataset.action;t.setAttribute("aria-label",this.#nt("itemAction",{label:i,value:e}))})}#Ke(t){t.forEach(t=>{t.addEventListener("click",this.#mi.bind(this),!1)})}#Ne(t,e){const i=/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);t.forEach(t=>{t.addEventListener("dblclick",this.#pi.bind(this),!1),i&&t.addEventListener("touchend",this.#gi())}),e.up.forEach(t=>{t.addEventListener("click",this.#vi.bind(this),!1)}),e.down.forEach(t=>{t.addEventListener("click",this.#bi.bind(this),!1)}),e.remove.forEach(t=>{t.addEventListener("click",this.#fi.bind(this),!1)})}#pi(t){const e=this.#Bt(t.target);if(this._editing||!this.#le("edit",e._item))return;this._editing=!0;const i=e.querySelector(".item-wrapper"),s=document.createElement("INPUT");s.className="edit-list-item-input",s.setAttribute("part","input edit-input"),s.value=e._item.value,s._value=e._item.value,this.#Ot(s,e._item),s.addEventListener("blur",this.#wi.bind(this),!1),s.addEventListener("keypress",this.#wi.bind(this),!1),s.addEventListener("keydown",this.#yi.bind(this),!1),i.innerHTML="",i.appendChild(s),s.focus()}#wi(t){if(this._editing&&(t instanceof KeyboardEvent&&("Enter"===t.key||"Escape"===t.key)||!(t instanceof KeyboardEvent))){const e=t instanceof KeyboardEvent;t.preventDefault();const i=this.#Bt(t.target),s=(i.querySelector(".item-wrapper"),i.querySelector(".item-wrapper input")),n=s._value,r=this.#Ii(i,s.value,n,"user");this.#qt(r.error),e&&i.focus(),r.differs&&this.#Yt(this.#nt("changed",{previous:n,value:r.val}))}}#yi(t){"Escape"===t.key&&(t.stopPropagation(),t.target.value=t.target._value,this.#wi(t))}#de(){const t=this.#yt().querySelector(".edit-list-item-input");if(!t||!this._editing)return;const e=this.#Bt(t),i=this.shadowRoot.activeElement===t;this.#Le(t),t.value=t._value,this.#Ii(e,t._value,t._value,"user"),i&&e.focus()}#It(t){if("ArrowLeft"===t.key||"ArrowRight"===t.key)return void this.#xi(t);const e=t.target;if("LI"!==e.tagName||this._editing)return;const i=t.altKey||t.ctrlKey&&t.shiftKey,s=this.#E.size>1&&this.#E.has(e._item.id);switch(t.key){case"ArrowUp":i&&s?(this.#zt(-1,t),e.focus()):i?(this.#vi(t),e.focus()):this.#Si(this.#ci(e,-1),t.shiftKey);break;case"ArrowDown":i&&s?(this.#zt(1,t),e.focus()):i?(this.#bi(t),e.focus()):this.#Si(this.#ci(e,1),t.shiftKey);break;case"Home":this.#Si(this.#Wt(this.#Qe()[0]),t.shiftKey);break;case"End":this.#Si(this.#Wt(this.#Qe().at(-1)),t.shiftKey);break;case" ":if("multiple"!==this.#Ai())return;this.#Li(e);break;case"a":case"A":if(!t.ctrlKey&&!t.metaKey||"multiple"!==this.#Ai())return;this.selectAll();break;case"Enter":case"F2":this.#pi(t);break;case"Delete":{if(s){this.#Pt(t);break}const i=this.#ci(e,1)||this.#ci(e,-1);if(this.#fi(t),e.isConnected)break;i?this.#Si(i):this.shadowRoot.querySelector(".add-new-list-item-input").focus();break}default:return}t.preventDefault()}#xi(t){const e=t.target.closest(".item-list > li");if(!e||this._editing||t.altKey||t.ctrlKey||t.metaKey)return;const i=[...e.querySelectorAll(".toolbar button, .toolbar [data-action]")].filter(t=>"hidden"!==t.style.visibility&&"none"!==getComputedStyle(t).display),s="ArrowRight"===t.key!==this.#Ce()?1:-1,n=i.indexOf(t.target)+s;if(t.target===e&&s<0)return;const r=n<0?e:i[Math.min(n,i.length-1)];r&&r.focus(),t.preventDefault()}#gi(){let t,e=0;return function(i){const s=(new Date).getTime(),n=s-e;n<500&&n>0?(i.preventDefault(),this.#pi(i)):t=setTimeout(()=>{clearTimeout(t)},500),e=s}.bind(this)}#Ii(t,e,i,s){let n={val:"",accepted:!0,differs:!1,error:""},r=e;if(""===r.trim()&&(r=i),"user"!==s||this.#le("edit",t._item)||(r=i,n.accepted=!1),r!==i){const e=this.#Ht("edit",{index:this.#$t(t),id:t._item.id,previous:i,value:r,source:s});r=e?String(e.value):i,n.accepted=!!e}const o=r!==i?this.#fe(r,t._item)||("user"===s?this.#xe(r):null):null;if(o&&(r=i,n.accepted=!1,n.error=o.message),this._editing=!1,this.#Je(t._item,r),this.#Ue(t),n.val=r,n.differs=r!==i,n.differs){const e=this.#$t(t),n=[{action:"edit",index:e,id:t._item.id,item:r,data:t._item.data,previous:i,new:r,source:s}];this.#me(()=>{this.#Ye({action:"edit",index:e,id:t._item.id,previous:i,new:r});const o=this.#ni(r,e,t._item);o!==e&&(this.#Ei(e,o),n.push({action:"move",index:o,fromIndex:e,toIndex:o,from:e,to:o,direction:o<e?"up":"down",id:t._item.id,item:r,data:t._item.data,source:s}))}),this.#gt(),this.#Nt(n)}return n}#mi(t){const e=this.#Bt(t.target),i="multiple"===this.#Ai();i&&t.shiftKey?this.#ki(e):i&&(t.ctrlKey||t.metaKey)?this.#Li(e):(this.#R=e._item.id,this.#di([e._item.id],e._item.id))}#Si(t,e){t&&(e&&"multiple"===this.#Ai()?this.#ki(t):(this.#R=t._item.id,this.#di([t._item.id],t._item.id)),t.focus())}#Li(t){const e=t._item.id,i=new Set(this.#E);i.has(e)?i.delete(e):i.add(e),this.#R=e,this.#di([...i],e)}#ki(t){const e=this.#$t(t),i=this.indexOf(this.#R),s=Math.min(i<0?e:i,e),n=Math.max(i,e),r=this.#u.slice(s,n+1).filter(t=>this.#ei(t.value));this.#di(r.map(t=>t.id),t._item.id)}#Ai(){const t=this.getAttribute("selection-mode");return"none"===t||"multiple"===t?t:"single"}#ct(){const t=this.#Ai();this.shadowRoot.querySelector(".editable-list").classList.toggle("selection-none","none"===t),this.#yt().setAttribute("aria-multiselectable","multiple"===t),this.#di([...this.#E])}#di(t,e){const i=this.#Ai(),s=new Set("none"===i?[]:"single"===i?t.slice(-1):t),n=s.size!==this.#E.size||[...s].some(t=>!this.#E.has(t));this.#E=s,void 0!==e&&(this.#k=e),this.#_i(),n&&this.#Ri()}#Ri(){const t=this.selectedIndices;this.dispatchEvent(new CustomEvent("selectionchange",{bubbles:!0,cancelable:!1,composed:!0,detail:{indices:t,ids:t.map(t=>this.#u[t].id)}}))}#_i(){const t=new Set(this.#u.map(t=>t.id)),e=[...this.#E].filter(e=>!t.has(e));e.forEach(t=>this.#E.delete(t));const i=[...this.#yt().children].filter(t=>t._item),s=i.filter(t=>!t.hidden),n=s.find(t=>t._item.id===this.#k)||s.find(t=>this.#E.has(t._item.id))||s[0];i.forEach(t=>{const e=this.#E.has(t._item.id);t.classList.toggle("selected",e),t.tabIndex=t===n?0:-1,t.setAttribute("aria-selected",e),t.setAttribute("part",e?"item selected":"item")}),this.#Te(),e.length>0&&this.#Ri()}#Te(){const t=this.#E.size,e=this.shadowRoot.querySelector(".selection-toolbar");if(e.hidden=t<2,this.shadowRoot.querySelector(".editable-list").classList.toggle("multiple-selected",t>1),t<2)return;const i=this.selectedIndices,s=i.map(t=>this.#u[t]),n=e.querySelector(".editable-list-up-selected"),r=e.querySelector(".editable-list-down-selected"),o=s.every(t=>this.#le("reorder",t)),a=0===i[0]||!o||this.#ui(i,-1),l=i[t-1]===this.#u.length-1||!o||this.#ui(i,1);e.querySelector(".editable-list-remove-selected").hidden=!s.some(t=>this.#le("remove",t)),e.querySelector(".selection-count").textContent=this.#nt("selectedCount",{count:t}),n.style.visibility=a?"hidden":"visible",n.setAttribute("aria-disabled",a),r.style.visibility=l?"hidden":"visible",r.setAttribute("aria-disabled",l)}#Pt(t){t.stopPropagation();const e=this.selectedIndices[0],i=this.#Ci("user");if(0===i)return;this.#Yt(this.#nt("removedCount",{count:i}));const s=this.#Wt(this.#u[Math.min(e,this.#u.length-1)]);s?this.#Si(s):this.shadowRoot.querySelector(".add-new-list-item-input").focus()}#zt(t,e){e.stopPropagation(),!this.#ui(this.selectedIndices,t)&&this.#qi(t,"user")&&this.#Yt(this.#nt(t<0?"movedUpCount":"movedDownCount",{count:this.#E.size}))}#fi(t){t.stopPropagation();const e=this.#Bt(t.target);this.#Mi(e,"user")&&this.#Yt(this.#nt("removed",{value:e._item.value}))}#vi(t){t.stopPropagation();const e=this.#Bt(t.target);!this.#ui([this.#$t(e)],-1)&&this.#Ti(e,"user")&&this.#Di(e,e._item.value)}#bi(t){t.stopPropagation();const e=this.#Bt(t.target);!this.#ui([this.#$t(e)],1)&&this.#Fi(e,"user")&&this.#Di(e,e._item.value)}#Di(t,e){this.#Yt(this.#nt("moved",{value:e,position:this.#$t(t)+1,count:this.#u.length}))}#St(t){const e=t.target.closest(".drag-handle");if(!e||0!==t.button||this._editing||this.#g||this.#N||this.hasAttribute("sorted")||this.hasAttribute("virtual"))return;const i=this.#Bt(e);if(!this.#le("reorder",i._item))return;t.preventDefault();const s=i.getBoundingClientRect(),n=document.createElement("li");n.className="drop-placeholder",n.style.height=`${s.height}px`,i.after(n),i.classList.add("dragging"),i.style.left=`${s.left}px`,i.style.top=`${s.top}px`,i.style.width=`${s.width}px`,e.setPointerCapture(t.pointerId),this.#g={li:i,placeholder:n,pointerId:t.pointerId,from:this.#$t(i),target:this,offsetX:t.clientX-s.left,offsetY:t.clientY-s.top,clientX:t.clientX,clientY:t.clientY,scrollFrame:null},this.#Si(i),this.#Oi()}#At(t){const e=this.#g;e&&t.pointerId===e.pointerId&&(e.clientX=t.clientX,e.clientY=t.clientY,e.li.style.left=t.clientX-e.offsetX+"px",e.li.style.top=t.clientY-e.offsetY+"px",e.target=this.#Vi(e),e.target.#zi(e))}#Lt(t){const e=this.#g;if(!e||t.pointerId!==e.pointerId)return;this.#g=null,cancelAnimationFrame(e.scrollFrame);const i=e.li;if(i.classList.remove("dragging"),i.style.left=i.style.top=i.style.width="","pointercancel"===t.type)return void e.placeholder.remove();if(e.target!==this)return void this.#Pi(e);const s=[...this.#yt().children].indexOf(e.placeholder);e.placeholder.remove();const n=s>e.from?s-1:s,r=n!==e.from&&this.#Ki(e.from,n,"user");i.focus(),r&&this.#Di(i,i._item.value)}#Pi(t){const e=t.target,i=t.li,s=i._item,n=s.value;let r=[...e.#yt().children].indexOf(t.placeholder);t.placeholder.remove();const o="copy"===this.#Ni(),a=e.#at(o?{value:n,data:s.data}:s),l=e.#Ht("add",{index:r,id:a.id,value:n,source:"user"});if(!l||!o&&!this.#Ht("remove",{index:t.from,id:s.id,value:n,source:"user"}))return void i.focus();a.value=String(l.value);const d=e.#ve(1)||e.#fe(a.value,null);if(d)return e.#qt(d.message),void i.focus();r=e.#ni(a.value,r,null);const h=e.#Ge(a,r);o||this.#Hi(i),e.#Si(h),this.#Nt([{action:"transfer-out",index:t.from,id:s.id,item:n,data:s.data,copy:o,targetList:e,target:e,source:"user"}]),e.#Nt([{action:"transfer-in",index:r,id:a.id,item:a.value,data:a.data,copy:o,sourceList:this,source:"user"}]),e.#Di(h,a.value)}#Vi(e){const i=this.getAttribute("group");if(!i||"reject"===this.#Ni())return this;if("move"===this.#Ni()&&!this.#le("remove",e.li._item))return this;for(const s of t.#e){if(s===this||s.getAttribute("group")!==i)continue;if("false"===s.getAttribute("accept")||s.#_||s.hasAttribute("disabled")||s.hasAttribute("virtual")||!s.#le("add",null))continue;const t=s.shadowRoot.querySelector(".editable-list").getBoundingClientRect();if(e.clientX>=t.left&&e.clientX<=t.right&&e.clientY>=t.top&&e.clientY<=t.bottom)return s}return this}#Ni(){const t=this.getAttribute("pull");return"copy"===t||"reject"===t?t:"move"}#zi(t){const{li:e,placeholder:i,clientY:s}=t,n=[...this.#yt().children].find(t=>{if(t===e||t===i)return!1;const n=t.getBoundingClientRect();return s<n.top+n.height/2})||null;let r=i.nextElementSibling;r===e&&(r=r.nextElementSibling),r!==n&&this.#yt().insertBefore(i,n)}#Oi(){const t=this.#g;if(!t)return;const e=t.target.#yt(),i=e.getBoundingClientRect();let s=0;t.clientY<i.top+24?s=-8:t.clientY>i.bottom-24&&(s=8),0!==s&&e.scrollHeight>e.clientHeight&&(e.scrollTop+=s,t.target.#zi(t)),t.scrollFrame=requestAnimationFrame(this.#Oi.bind(this))}#Rt(t){this.#di([])}#Ti(t,e){const i=this.#$t(t);return!(i<=0)&&this.#Ki(i,i-1,e)}#Fi(t,e){const i=this.#$t(t);return!(i<0||i>=this.#u.length-1)&&this.#Ki(i,i+1,e)}#Ui(t,e,i){if(this._editing)return!1;if("locked"in e&&(e.locked?t._item.locked=!0:delete t._item.locked,this.#pt(),this.#gt()),("value"in e||"data"in e)&&!this.#le("edit",t._item))return!1;if("value"in e&&(this._editing=!0,!this.#Ii(t,String(e.value),t._item.value,i).accepted))return!1;if("data"in e){const i=t._item.data;t._item.data=e.data,this.#gt(),this.#ji({action:"data",index:this.#$t(t),id:t._item.id,previous:i,new:e.data})}return!0}#Ki(t,e,i){const s=this.#u[t];return!(this.hasAttribute("sorted")||!this.#le("reorder",s))&&(!!this.#Ht("move",{fromIndex:t,toIndex:e,id:s.id,value:s.value,source:i})&&(this.#Ei(t,e),this.#Nt([{action:"move",index:e,fromIndex:t,toIndex:e,from:t,to:e,direction:e<t?"up":"down",id:s.id,item:s.value,data:s.data,source:i}]),!0))}#Ei(t,e){const i=this.#u[t];if(this.#u.splice(e,0,...this.#u.splice(t,1)),this.hasAttribute("virtual"))this.#$e();else{const t=this.#He(i);t.remove(),this.#yt().insertBefore(t,this.#je(e+1))}this.#Ye({action:"move",from:t,to:e}),this.#pt(),this.#gt()}#oi(t){this.#u=t.map(t=>this.#u[t]),this.hasAttribute("virtual")?this.#$e():this.#yt().append(...this.#u.map(t=>this.#He(t))),this.#Ye({action:"reorder",order:t}),this.#pt(),this.#gt()}static#Bi(t){const e=t.map((t,e)=>e),i=[];return t.forEach((t,s)=>{const n=e.indexOf(t,s);n!==s&&(e.splice(s,0,...e.splice(n,1)),i.push({action:"move",from:n,to:s}))}),i}#Mi(t,e){const i=this.#$t(t),s=t._item;return!!this.#le("remove",s)&&(!!this.#Ht("remove",{index:i,id:s.id,value:s.value,source:e})&&(this.#Hi(t),this.#Nt([{action:"remove",index:i,id:s.id,item:s.value,data:s.data,previous:s.value,new:null,source:e}]),!0))}#Xt(t,e,i=!1){if(!i&&!this.#le("add",null))return t.map(()=>({item:null,error:""}));const s=[],n=[];return this.#me(()=>{t.forEach(t=>{const r=this.#at(t);let o=this.#ni(r.value,this.#u.length,null);const a=i?{value:r.value}:this.#Ht("add",{index:o,id:r.id,value:r.value,source:e});if(!a)return void s.push({item:null,error:""});r.value=String(a.value);const l=this.#ve(1)||this.#fe(r.value,null)||("user"===e?this.#xe(r.value):null);l?s.push({item:null,error:l.message}):(o=this.#ni(r.value,o,null),this.#dt(r,o),this.#Ye({action:"add",index:o,item:r.value,id:r.id,data:r.data}),s.push({item:r,error:""}),n.push({action:"add",index:o,id:r.id,item:r.value,data:r.data,previous:null,new:r.value,source:e}))})}),this.#pt(),this.#gt(),this.#Nt(n),s}#Ut(t,e){const i={newline:/\r\n|\r|\n/,tab:/\t/,comma:/,/,semicolon:/;/},s=(e||this.getAttribute("split-on")||"newline").split(/[\s,]+/).filter(t=>i[t]),n=new RegExp((s.length>0?s:["newline"]).map(t=>i[t].source).join("|"));return t.split(n).map(t=>t.trim()).filter(t=>""!==t)}#jt(t,e,i){const{splitOn:s,skipDuplicates:n=!0,preview:r=!1}=e||{},o={added:0,duplicates:0,rejected:0},a=[],l=new Set(this.items());return this.#Ut(String(t),s).forEach(t=>{n&&l.has(t)?o.duplicates++:(l.add(t),a.push(t))}),r?(a.forEach(t=>{!this.#le("add",null)||this.#ve(o.added+1)||this.#fe(t,null)?o.rejected++:o.added++}),o):(this.#Xt(a,i).forEach(t=>{t.item?o.added++:o.rejected++}),o)}#$i(t,e,i=!1){const s=[];return this.#me(()=>{[...t].reverse().forEach(t=>{const n=this.#u[t];if(!i&&!this.#le("remove",n))return;if(!i&&!this.#Ht("remove",{index:t,id:n.id,value:n.value,source:e}))return;this.#Ye({action:"remove",index:t,item:n.value,id:n.id,data:n.data});const r=this.#H.get(n);r&&r.remove(),this.#u.splice(t,1),this.#Be(n.value,-1),s.push({index:t,item:n})})}),this.#$e(),this.#pt(),this.#gt(),s}#pe(t,e=!1){const i=this.#$i(this.#u.map((t,e)=>e),t,e);this.#Nt(i.map(({index:e,item:i})=>({action:"remove",index:e,id:i.id,item:i.value,data:i.data,previous:i.value,new:null,source:t})))}#Ci(t){const e=this.#$i(this.selectedIndices,t).reverse();return 0===e.length?0:(this.#Nt([{action:"remove",bulk:!0,indices:e.map(({index:t})=>t),ids:e.map(({item:t})=>t.id),values:e.map(({item:t})=>t.value),source:t}]),e.length)}#qi(t,e){const i=this.selectedIndices;if(this.hasAttribute("sorted")||0===i.length||i[0]+t<0||i[i.length-1]+t>=this.#u.length)return!1;const s=i.map(t=>this.#u[t]),n=i.map(e=>e+t);return!s.some(t=>!this.#le("reorder",t))&&(!s.some((t,s)=>!this.#Ht("move",{fromIndex:i[s],toIndex:n[s],id:t.id,value:t.value,source:e}))&&(this.#me(()=>{(t<0?i:[...i].reverse()).forEach(e=>this.#Ei(e,e+t))}),this.#Nt([{action:"move",bulk:!0,fromIndices:i,toIndices:n,ids:s.map(t=>t.id),values:s.map(t=>t.value),source:e}]),!0))}#Gi(t){if(!this.canUndo||this._editing)return!1;const e=this.#Yi(),i=this.#v.pop();return this.#Ji(e),this.#b.push(i),this.#Nt([{action:"undo",operations:e,source:t}]),!0}#Xi(t){if(!this.canRedo||this._editing)return!1;const e=this.#b.pop();return this.#Ji(e),this.#v.push(e),this.#Nt([{action:"redo",operations:e,source:t}]),!0}#Yi(){return this.#v.at(-1).map(t.#Wi).reverse()}#Qi(t){const e={add:"add",remove:"remove",edit:"edit",data:"edit",move:"reorder"};return t.every(t=>{if("reorder"===t.action&&this.hasAttribute("sorted"))return!1;if("move"===t.action&&this.hasAttribute("sorted"))return!0;if("reorder"===t.action)return t.order.every((t,e)=>t===e||this.#le("reorder",this.#u[t]));const i="move"===t.action?this.#u[t.from]:this.#u.find(e=>e.id===t.id);return this.#le(e[t.action],"add"===t.action?null:i)})}#Hi(t){const e=this.#$t(t),i=t._item;this.#Ye({action:"remove",index:e,item:i.value,id:i.id,data:i.data}),t.remove(),this.#u.splice(e,1),this.#Be(i.value,-1),this.#$e(),this.#pt(),this.#gt()}async#ee(){const t=this.#T;if(!t||"function"!=typeof t.load||!this.isConnected||!this.shadowRoot)return;const e=this.shadowRoot.querySelector(".editable-list");e.classList.add("loading"),this.#yt().setAttribute("aria-busy","true");try{const e=await t.load();if(t!==this.#T)return;this.#w=!0;try{this.#se(Array.isArray(e)?e:[])}finally{this.#w=!1}this.#v=[],this.#b=[],this.#D.clear()}catch(t){this.#Zi(t,"load",null)}finally{e.classList.remove("loading"),this.#yt().setAttribute("aria-busy","false")}}#ji(e){const i=this.#T;if(!i)return;const s=this.indexOf(e.id),n=s>=0?{...this.#u[s]}:null;let r;switch(e.action){case"add":r=["add",{id:e.id,value:e.item,data:e.data},e.index];break;case"remove":r=["remove",{id:e.id,value:e.item,data:e.data},e.index];break;case"edit":r=["update",n,{...n,value:e.previous}];break;case"data":r=["update",n,{...n,data:e.previous}];break;case"move":{const t={...this.#u[e.to]};r=["move",t,(e={...e,id:t.id}).from,e.to];break}case"reorder":if("function"!=typeof i.reorder)return void t.#Bi(e.order).forEach(t=>this.#ji(t));e={...e,ids:this.#u.map(t=>t.id)},r=["reorder",this.#u.map(t=>({...t}))]}const[o,...a]=r;if("function"!=typeof i[o]||!a[0])return;const l=e.id;void 0!==l&&this.#ts(l,1,!1),new Promise(t=>t(i[o](...a))).then(t=>{void 0!==l&&this.#ts(l,-1,!1),"add"===o&&t&&"object"==typeof t&&void 0!==t.id&&t.id!==l&&this.#es(l,t.id)},t=>{void 0!==l&&this.#ts(l,-1,!0),this.#is(e),void 0!==l&&this.indexOf(l)<0&&this.#D.delete(l),this.#Zi(t,o,e)})}#ts(t,e,i){const s=this.#D.get(t)||{pending:0,error:!1};s.pending+=e,s.error=i,s.pending>0||s.error?this.#D.set(t,s):this.#D.delete(t);const n=this.#je(this.indexOf(t));n&&this.#ii(n)}#es(t,e){const i=this.#u.find(e=>e.id===t);!i||this.indexOf(e)>=0||(i.id=e,[...this.#v,...this.#b].flat().forEach(i=>{i.id===t&&(i.id=e)}),this.#E.delete(t)&&this.#E.add(e),this.#k===t&&(this.#k=e),this.#R===t&&(this.#R=e),this.#D.has(t)&&(this.#D.set(e,this.#D.get(t)),this.#D.delete(t)),this.#gt())}#is(e){const i=this.indexOf(e.id),s=this.#je(i);let n=!1;this.#w=!0;try{switch(e.action){case"add":s&&(this.#Hi(s),n=!0);break;case"remove":s||(this.#Ge(this.#at({id:e.id,value:e.item,data:e.data}),Math.min(e.index,this.#u.length)),n=!0);break;case"edit":if(s&&s._item.value===e.new){this.#Je(s._item,e.previous),this.#Ue(s);const t=this.#ni(e.previous,i,s._item);t!==i&&this.#Ei(i,t),this.#gt(),n=!0}break;case"data":s&&s._item.data===e.new&&(s._item.data=e.previous,this.#Ue(s),this.#gt(),n=!0);break;case"move":s&&(this.#Ei(i,Math.min(e.from,this.#u.length-1)),n=!0);break;case"reorder":this.#u.length===e.ids.length&&this.#u.every((t,i)=>t.id===e.ids[i])&&(this.#oi(t.#Wi(e).order),n=!0)}}finally{this.#w=!1}if(this.#v=[],this.#b=[],!n)return;const r=this.indexOf(e.id);this.#Nt([{action:"rollback",index:r>=0?r:i,id:e.id,operation:e,source:"api"}])}#Zi(t,e,i){const s=i?this.getItemById(i.id):null;i&&this.#Yt("reorder"===i.action?this.#nt("orderSaveFailed"):this.#nt("saveFailed",{value:s?s.value:i.item})),this.dispatchEvent(new CustomEvent("sync-error",{bubbles:!0,cancelable:!1,composed:!0,detail:{error:t,method:e,operation:i,id:i?i.id:null,items:this.items()}}))}#Ye(t){this.#w||(this.#ji(t),this.#f?this.#f.push(t):this.#ss([t]))}#me(t){if(this.#f)t();else{this.#f=[];try{t()}finally{const t=this.#f;this.#f=null,this.#ss(t)}}}#ss(e){if(this.#w||0===e.length)return;const i=this.#we("history-limit")??t.#s;this.#v.push(e),this.#v.length>i&&this.#v.splice(0,this.#v.length-i),this.#b=[]}#Ji(t){this.#w=!0;try{t.forEach(t=>{switch(t.action){case"add":this.#Ge(this.#at({id:t.id,value:t.item,data:t.data}),t.index);break;case"remove":this.#Hi(this.#je(t.index));break;case"edit":{const e=this.#je(t.index);this.#Je(e._item,t.new),this.#Ue(e),this.#gt();break}case"move":this.#Ei(t.from,t.to);break;case"reorder":this.#oi(t.order)}this.#ji(t)})}finally{this.#w=!1}}static#Wi(t){switch(t.action){case"add":return{...t,action:"remove"};case"remove":return{...t,action:"add"};case"edit":return{...t,previous:t.new,new:t.previous};case"move":return{action:"move",from:t.to,to:t.from};case"reorder":{const e=[];return t.order.forEach((t,i)=>{e[t]=i}),{action:"reorder",order:e}}}}#wt(t){if("INPUT"===t.target.tagName||!t.ctrlKey&&!t.metaKey||t.altKey)return;const e=t.key.toLowerCase();let i;if("z"!==e||t.shiftKey){if(!("z"===e&&t.shiftKey||"y"===e))return;i=this.#Xi("user")}else i=this.#Gi("user");t.preventDefault(),i&&this.#Yt(this.#nt("z"!==e||t.shiftKey?"redone":"undone"))}#yt(){return this.shadowRoot.querySelector(".item-list")}#Bt(t){for(;"LI"!==t.tagName;)t=t.parentNode;return t}#$t(t){return this.#u.indexOf(t._item)}#je(t){const e=this.#u[t];return e?this.#He(e):null}#Ie(t,e){return(this.#U.get(t)||0)-(e&&e.value===t?1:0)>0}items(t){return this.#et(),t&&t.objects?this.#u.map(t=>({...t})):this.#u.map(t=>t.value)}get value(){return this.#y?this.#y.map(t=>String(null!==t&&"object"==typeof t?t.value:t)):this.items()}set value(t){t=Array.isArray(t)?t:[],this.shadowRoot?this.#se(t):this.#y=t}addItems(t){this.#et(),this.#Xt(t,"api")}importText(t,e){return this.#et(),this.#jt(t,e,"api")}toJSON(){return this.items()}exportAs(t){return this.#Gt(this.items(),t)}importFrom(t,e,i){this.#et();const s=this.#De(t,e);let n;return this.#me(()=>{i&&"replace"===i.mode&&this.#pe("api"),n=this.#Xt(s,"api")}),n.filter(t=>t.item).length}copyToClipboard(t){return Promise.resolve().then(()=>navigator.clipboard.writeText(this.exportAs(t||"text")))}changeItem(t,e){this.#et();const i=this.#je(t);null!==i&&this.#Ui(i,null!==e&&"object"==typeof e?e:{value:e},"api")}getItemById(t){this.#et();const e=this.#u.find(e=>e.id===t);return e?{...e}:null}indexOf(t){return this.#et(),this.#u.findIndex(e=>e.id===t)}updateItem(t,e){this.#et();const i=this.#je(this.indexOf(t));return null!==i&&this.#Ui(i,e,"api")}removeItem(t){this.#et();const e=this.#je(t);null!==e&&this.#Mi(e,"api")}moveItemUp(t){this.#et();const e=this.#je(t);null!==e&&this.#Ti(e,"api")}moveItemDown(t){this.#et();const e=this.#je(t);null!==e&&this.#Fi(e,"api")}removeAllItems(){this.#et(),this.#pe("api")}undo(){return this.#et(),this.#Gi("api")}redo(){return this.#et(),this.#Xi("api")}get canUndo(){return this.#v.length>0&&this.#Qi(this.#Yi())}get canRedo(){return this.#b.length>0&&this.#Qi(this.#b.at(-1))}unselectAllItems(){this.#et(),this.#Rt()}select(t){this.#et();const e=[].concat(t).filter(t=>this.#u[t]).map(t=>this.#u[t].id);this.#R=e.length>0?e[e.length-1]:this.#R,this.#di(e,this.#R)}selectAll(){this.#et(),"multiple"===this.#Ai()&&this.#di(this.#u.filter(t=>this.#ei(t.value)).map(t=>t.id))}get selectedIndices(){return this.#et(),this.#u.map((t,e)=>e).filter(t=>this.#E.has(this.#u[t].id))}set selectedIndices(t){this.shadowRoot?this.select(t):this.#I=[].concat(t)}removeSelectedItems(){this.#et(),this.#Ci("api")}moveSelectedItemsUp(){this.#et(),this.#qi(-1,"api")}moveSelectedItemsDown(){this.#et(),this.#qi(1,"api")}sort(t){if(this.#et(),this.hasAttribute("sorted"))return!1;const e="function"==typeof t?(e,i)=>t(e.value,i.value):this.#si(!1);return this.#re(e,"api")}reverse(){return this.#et(),!this.hasAttribute("sorted")&&this.#ri(this.#u.map((t,e)=>this.#u.length-1-e),"api")}checkValidity(){return this.#et(),this.#c.checkValidity()}reportValidity(){this.#et();const t=this.#c.reportValidity();return this.shadowRoot&&this.#qt(t?"":this.#c.validationMessage),t}get itemRenderer(){return this.#p}set itemRenderer(t){this.#p="function"==typeof t?t:null,this.shadowRoot&&[...this.#yt().children].forEach(t=>this.#Ue(t))}get icons(){return{...this.#G}}set icons(t){this.#G={...t},this.shadowRoot&&(this.#rt(this.shadowRoot),this.#u.forEach(t=>{const e=this.#H.get(t);e&&this.#rt(e)}))}get itemActions(){return this.#Y.map(t=>({...t}))}set itemActions(t){this.#Y=(Array.isArray(t)?t:[]).filter(t=>t&&t.action).map(({action:t,label:e,icon:i})=>({action:String(t),label:String(e??t),icon:i??null})),this.shadowRoot&&this.#u.forEach(t=>{const e=this.#H.get(t);e&&(this.#ze(e),this.#Me(e))})}get locale(){if(this.#X)return this.#X;const t=this.#J||this.closest("[lang]")?.lang||document.documentElement.lang||navigator.language;try{this.#X=Intl.getCanonicalLocales(t)[0]}catch{this.#X=navigator.language}return this.#X}set locale(t){this.#J=t?String(t):null,this.#Zt()}get strings(){return{...this.#Q}}set strings(t){this.#Q={...t},this.#Zt()}get filter(){return this.#K}set filter(t){if(t=String(t??""),!this.shadowRoot)return this.#K=t,void(this.#N=this.#li(t.trim()));this.shadowRoot.querySelector(".filter-input").value=t,this.#ai(t)}get suggestions(){return this.#F?[...this.#F]:null}set suggestions(t){this.#F=Array.isArray(t)?t.map(t=>String(t)):null}get suggest(){return this.#O}set suggest(t){this.#O="function"==typeof t?t:null,this.#V.clear()}get source(){return this.#T}set source(t){this.#T=null!==t&&"object"==typeof t?t:null,this.#D.clear(),this.#ee()}get storageAdapter(){return this.#C}set storageAdapter(t){this.#C=t&&"function"==typeof t.load&&"function"==typeof t.save?t:null}get disabled(){return this.hasAttribute("disabled")}set disabled(t){this.toggleAttribute("disabled",!!t)}get readOnly(){return this.hasAttribute("readonly")}set readOnly(t){this.toggleAttribute("readonly",!!t)}get validator(){return this.#m}set validator(t){this.#m="function"==typeof t?t:null,this.#ae()}get validity(){return this.#c.validity}get validationMessage(){return this.#c.validationMessage}get willValidate(){return this.#c.willValidate}get form(){return this.#c.form}get name(){return this.getAttribute("name")}get type(){return this.localName}}customElements.define("editable-list",t)}();
\ No newline at end of file